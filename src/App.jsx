@@ -1,23 +1,74 @@
-import React, { useState, useMemo } from 'react';
-import { Lock, Unlock, KeyRound, Brain, Shuffle, Play, Check, X, Copy, Zap, ArrowDown, Hash, MessageSquare, Binary, Eye, Download, RefreshCw } from 'lucide-react';
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { Lock, Unlock, KeyRound, Brain, Shuffle, Play, Check, X, Copy, Zap, ArrowDown, Hash, MessageSquare, Binary, Eye, Download, RefreshCw, Signature, ShieldCheck, BadgeCheck, Swords, Bug, StepForward, StepBack, Pause, Users, Server, Link, Database, Save, Trash2, FileText, FileJson, Printer, GraduationCap, Minus, Lightbulb, Trophy, RotateCcw, FileUp, ChevronRight, ChevronDown } from 'lucide-react';
 import { motion, AnimatePresence, LayoutGroup } from 'framer-motion';
 import { cn } from './lib/utils';
 // Import new math functions
-import { gcd, modInverse, generateRandomPrime, isPrime, textToBigInt, bigIntToText, modPowWithSteps, modPow } from './rsa-math.js';
+import { gcd, modInverse, extendedEuclideanWithSteps, randomBigIntInRange, deriveCrtParams, crtDecrypt, crtDecryptWithSteps, compareDecryptionCost, measureDecryptionTime, generateRandomPrime, isPrime, parseBigInt, textToBigInt, bigIntToText, bigIntToBytes, bytesToBigInt, getByteLength, getBlockSize, textToBlocks, blocksToText, concatBytes, pkcs1v15Pad, pkcs1v15Unpad, sha256, oaepEncode, oaepDecode, PKCS1_V15_OVERHEAD, OAEP_SHA256_OVERHEAD, SHA256_LENGTH, modPowWithSteps, modPow, bitLength, FACTORING_MAX_ITERATIONS } from './rsa-math.js';
+import { startKeyGeneration, describeKeyGenProgress } from './keygen.js';
+import { startFactoring } from './factoring.js';
+import { KEY_FORMATS, JWK_FORMATS, toPem, toJwk, importRsaKey } from './key-formats.js';
+import { crossCheckWithWebCrypto } from './webcrypto-check.js';
+import { readObjectIdentifier } from './asn1.js';
+import { parsePermalink, buildPermalinkHash } from './permalink.js';
+import { listKeys, saveKey, loadKey, deleteKey } from './keyring.js';
+import { PRACTICE_DIFFICULTIES, EXERCISE_TYPES, generateExercise, checkAnswer, loadPracticeProgress, savePracticeProgress } from './practice.js';
+import { buildWorkedExample, parseWorkedExample, workedExampleToMarkdown, workedExampleToHtml } from './worked-example.js';
+import { wienerAttack, isWienerVulnerable, generateWienerVulnerableKey, commonModulusAttack, createDecryptionOracle, blindCiphertext, unblindMessage } from './attacks.js';
+import { pkcs1v15Layout, oaepLayout, toHex, downloadFile, formatValue } from './display.js';
+import { StepList, Card, CardHeader, InputBox, ValueBox, ValuedBox, Button, ToggleButton, KeyDisplayBox, TabButton, SelectBox, TextArea } from './ui.jsx';
+import AttackLab from './AttackLab.jsx';
 
 // --- Main App Component ---
 
+// Reads the session from the URL hash once on load; an invalid link is reported, not applied
+const readPermalink = () => {
+  try {
+    return { link: parsePermalink(window.location.hash) };
+  } catch (err) {
+    return { link: null, error: `This link could not be restored: ${err.message}` };
+  }
+};
+
 export default function App() {
-  const [mode, setMode] = useState('visualizer'); // 'visualizer' or 'encryptor'
+  const [initialLink] = useState(readPermalink);
+  const [mode, setMode] = useState(initialLink.link?.mode ?? 'visualizer'); // 'visualizer', 'encryptor', 'signer', 'attacks' or 'practice'
+  const [importedKey, setImportedKey] = useState(null); // { n, e, d?, p?, q?, dp?, dq?, qInv? }, applied when a mode mounts
+  const [pendingSession, setPendingSession] = useState(initialLink.link?.session ?? null); // Applied by the linked mode on mount
+  const [restoredVisualizer, setRestoredVisualizer] = useState(null); // Visualizer state rebuilt from the link
+  const [isRestoringLink, setIsRestoringLink] = useState(initialLink.link?.mode === 'visualizer');
+  const [sessionParams, setSessionParams] = useState({}); // Reported by the active mode for its permalink
+  const [linkError, setLinkError] = useState(initialLink.error ?? '');
+
+  // The address bar always holds a permalink to the current session
+  useEffect(() => {
+    window.history.replaceState(null, '', buildPermalinkHash({ mode, ...sessionParams }));
+  }, [mode, sessionParams]);
+
+  // A visualizer link may point past encryption and decryption, which are async with padding,
+  // so its state is rebuilt before the visualizer mounts with it
+  useEffect(() => {
+    if (initialLink.link?.mode !== 'visualizer') return;
+    restoreVisualizerSession(initialLink.link.session)
+      .then(setRestoredVisualizer, (err) => setLinkError(`This link could not be restored: ${err.message}`))
+      .finally(() => setIsRestoringLink(false));
+  }, [initialLink]);
+
+  const handleModeChange = (nextMode) => {
+    setPendingSession(null);
+    setRestoredVisualizer(null);
+    setSessionParams({});
+    setMode(nextMode);
+  };
 
   return (
     <div className="flex flex-col items-center min-h-screen w-full bg-gray-900 text-gray-100 font-sans p-4 md:p-8">
       <Header />
-      <ModeToggle mode={mode} setMode={setMode} />
+      <ModeToggle mode={mode} setMode={handleModeChange} />
+      <PermalinkBar error={linkError} onDismissError={() => setLinkError('')} />
       
       <main className="w-full max-w-6xl mt-8">
         <AnimatePresence mode="wait">
-          {mode === 'visualizer' && (
+          {mode === 'visualizer' && !isRestoringLink && (
             <motion.div
               key="visualizer"
               initial={{ opacity: 0, y: 20 }}
@@ -27,7 +78,12 @@ export default function App() {
               className="flex flex-col gap-8"
             >
               {/* This new container holds state for all visualizer cards */}
-              <VisualizerModeContainer />
+              <VisualizerModeContainer
+                importedKey={importedKey}
+                onImportKey={setImportedKey}
+                restored={restoredVisualizer}
+                onSessionChange={setSessionParams}
+              />
             </motion.div>
           )}
 
@@ -39,7 +95,49 @@ export default function App() {
               exit={{ opacity: 0, y: -20 }}
               transition={{ duration: 0.3 }}
             >
-              <EncryptorDecryptor />
+              <EncryptorDecryptor
+                importedKey={importedKey}
+                onImportKey={setImportedKey}
+                session={pendingSession}
+                onSessionChange={setSessionParams}
+              />
+            </motion.div>
+          )}
+
+          {mode === 'signer' && (
+            <motion.div
+              key="signer"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <SignVerify />
+            </motion.div>
+          )}
+
+          {mode === 'attacks' && (
+            <motion.div
+              key="attacks"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.3 }}
+              className="flex flex-col gap-8"
+            >
+              <AttackLab />
+            </motion.div>
+          )}
+
+          {mode === 'practice' && (
+            <motion.div
+              key="practice"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.3 }}
+            >
+              <PracticeMode />
             </motion.div>
           )}
         </AnimatePresence>
@@ -70,7 +168,7 @@ function Header() {
 
 function ModeToggle({ mode, setMode }) {
   return (
-    <div className="flex bg-gray-800 p-1 rounded-lg border border-gray-700">
+    <div className="flex flex-wrap justify-center bg-gray-800 p-1 rounded-lg border border-gray-700">
       <ToggleButton
         onClick={() => setMode('visualizer')}
         isActive={mode === 'visualizer'}
@@ -83,6 +181,58 @@ function ModeToggle({ mode, setMode }) {
         icon={<Lock className="w-5 h-5" />}
         label="Encrypt/Decrypt Mode"
       />
+      <ToggleButton
+        onClick={() => setMode('signer')}
+        isActive={mode === 'signer'}
+        icon={<Signature className="w-5 h-5" />}
+        label="Sign/Verify Mode"
+      />
+      <ToggleButton
+        onClick={() => setMode('attacks')}
+        isActive={mode === 'attacks'}
+        icon={<Swords className="w-5 h-5" />}
+        label="Attack Lab"
+      />
+      <ToggleButton
+        onClick={() => setMode('practice')}
+        isActive={mode === 'practice'}
+        icon={<GraduationCap className="w-5 h-5" />}
+        label="Practice"
+      />
+    </div>
+  );
+}
+
+/**
+ * "Copy link" for the current session (the URL hash is kept up to date by App),
+ * plus a notice when the link the page was opened with failed validation.
+ */
+function PermalinkBar({ error, onDismissError }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-2 mt-4">
+      <button
+        onClick={handleCopy}
+        className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-300 bg-gray-800 border border-gray-700 rounded-lg hover:text-white hover:border-cyan-500 transition-colors"
+      >
+        {copied ? <Check className="w-4 h-4 text-green-500" /> : <Link className="w-4 h-4" />}
+        {copied ? 'Link copied' : 'Copy link'}
+      </button>
+      {error && (
+        <div className="flex items-center gap-2 px-3 py-2 text-sm text-amber-300 bg-amber-900/20 border border-amber-700 rounded-lg">
+          {error}
+          <button onClick={onDismissError} className="text-amber-400 hover:text-white" title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -95,42 +245,531 @@ function Footer() {
   );
 }
 
+// Padding schemes offered in both modes
+const PADDING_MODES = [
+  { value: 'none', label: 'Textbook RSA (no padding)' },
+  { value: 'pkcs1', label: 'PKCS#1 v1.5 (type 2)' },
+  { value: 'oaep', label: 'RSA-OAEP (SHA-256, MGF1)' },
+];
+
+const PADDING_NAMES = { pkcs1: 'PKCS#1 v1.5', oaep: 'OAEP' };
+
+/**
+ * Encodes one message chunk with a padding scheme and describes each stage.
+ * @returns {Promise<{em: Uint8Array, steps: Array<object>}>}
+ */
+async function encodePaddedBlock(padding, bytes, k) {
+  if (padding === 'pkcs1') {
+    const em = pkcs1v15Pad(bytes, k);
+    return {
+      em,
+      steps: [{
+        title: 'PKCS#1 v1.5 Padding',
+        value: `EM = 00 ‖ 02 ‖ PS ‖ 00 ‖ M (${k} bytes, ${k - bytes.length - 3} random nonzero PS bytes)`,
+        byteLayout: pkcs1v15Layout(em, bytes.length),
+      }],
+    };
+  }
+
+  const { em, stages } = await oaepEncode(bytes, k);
+  const dbLength = k - SHA256_LENGTH - 1;
+  return {
+    em,
+    steps: [
+      { title: 'OAEP: Label Hash', value: 'lHash = SHA-256(label), label is empty', byteLayout: [{ label: 'lHash', bytes: Array.from(stages.lHash), tone: 'header' }] },
+      {
+        title: 'OAEP: Data Block',
+        value: `DB = lHash ‖ PS ‖ 01 ‖ M (${dbLength} bytes, PS is ${stages.ps.length} zero bytes)`,
+        byteLayout: [
+          { label: 'lHash', bytes: Array.from(stages.lHash), tone: 'header' },
+          { label: 'PS (zeros)', bytes: Array.from(stages.ps), tone: 'padding' },
+          { label: '01', bytes: [0x01], tone: 'separator' },
+          { label: 'M (message)', bytes: Array.from(bytes), tone: 'message' },
+        ],
+      },
+      { title: 'OAEP: Random Seed', value: `seed = ${SHA256_LENGTH} random bytes`, byteLayout: [{ label: 'seed', bytes: Array.from(stages.seed), tone: 'seed' }] },
+      {
+        title: 'OAEP: Mask the Data Block',
+        value: `dbMask = MGF1(seed, ${dbLength}), maskedDB = DB ⊕ dbMask`,
+        byteLayout: [
+          { label: 'dbMask', bytes: Array.from(stages.dbMask), tone: 'mask' },
+          { label: 'maskedDB', bytes: Array.from(stages.maskedDB), tone: 'message' },
+        ],
+      },
+      {
+        title: 'OAEP: Mask the Seed',
+        value: `seedMask = MGF1(maskedDB, ${SHA256_LENGTH}), maskedSeed = seed ⊕ seedMask`,
+        byteLayout: [
+          { label: 'seedMask', bytes: Array.from(stages.seedMask), tone: 'mask' },
+          { label: 'maskedSeed', bytes: Array.from(stages.maskedSeed), tone: 'seed' },
+        ],
+      },
+      { title: 'OAEP: Encoded Message', value: `EM = 00 ‖ maskedSeed ‖ maskedDB (${k} bytes)`, byteLayout: oaepLayout(em) },
+    ],
+  };
+}
+
+/**
+ * Checks and strips a padding scheme from one decrypted block, describing each stage.
+ * @returns {Promise<{message: Uint8Array, steps: Array<object>}>}
+ * @throws {Error} If the padding is malformed.
+ */
+async function decodePaddedBlock(padding, em) {
+  const k = em.length;
+  if (padding === 'pkcs1') {
+    const message = pkcs1v15Unpad(em);
+    return {
+      message,
+      steps: [{
+        title: 'Check Padding',
+        value: `00 ‖ 02 ‖ PS (${k - message.length - 3} nonzero bytes) ‖ 00 found. Message = ${toHex(message)}`,
+        byteLayout: pkcs1v15Layout(em, message.length),
+      }],
+    };
+  }
+
+  const { message, stages } = await oaepDecode(em);
+  return {
+    message,
+    steps: [
+      { title: 'OAEP: Split EM', value: 'EM = 00 ‖ maskedSeed ‖ maskedDB', byteLayout: oaepLayout(em) },
+      {
+        title: 'OAEP: Unmask the Seed',
+        value: `seedMask = MGF1(maskedDB, ${SHA256_LENGTH}), seed = maskedSeed ⊕ seedMask`,
+        byteLayout: [
+          { label: 'seedMask', bytes: Array.from(stages.seedMask), tone: 'mask' },
+          { label: 'seed', bytes: Array.from(stages.seed), tone: 'seed' },
+        ],
+      },
+      {
+        title: 'OAEP: Unmask the Data Block',
+        value: `dbMask = MGF1(seed, ${k - SHA256_LENGTH - 1}), DB = maskedDB ⊕ dbMask`,
+        byteLayout: [
+          { label: 'dbMask', bytes: Array.from(stages.dbMask), tone: 'mask' },
+          { label: 'DB', bytes: Array.from(stages.db), tone: 'message' },
+        ],
+      },
+      {
+        title: 'OAEP: Check the Data Block',
+        value: `lHash matches SHA-256(label), ${stages.psLength} zero bytes, then 01. Message = ${toHex(message)}`,
+        byteLayout: [
+          { label: 'lHash', bytes: Array.from(stages.db.slice(0, SHA256_LENGTH)), tone: 'header' },
+          { label: 'PS (zeros)', bytes: Array.from(stages.db.slice(SHA256_LENGTH, SHA256_LENGTH + stages.psLength)), tone: 'padding' },
+          { label: '01', bytes: [0x01], tone: 'separator' },
+          { label: 'M (message)', bytes: Array.from(message), tone: 'message' },
+        ],
+      },
+    ],
+  };
+}
+
 // --- NEW State Container ---
 
+// Walkthrough order; playback continues from one card into the next
+const PLAYBACK_STAGES = ['keygen', 'encrypt', 'decrypt'];
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+const PLAYBACK_STEP_MS = 1500; // Time per step at 1× speed
+
+/**
+ * Visualizer key state for an imported PEM/DER/JWK key. A public key only has n and e,
+ * so it can encrypt but the decryption card stays hidden.
+ * @param {{n: bigint, e: bigint, d?: bigint, p?: bigint, q?: bigint, dp?: bigint, dq?: bigint, qInv?: bigint}} key
+ * @returns {{p: string, q: string, e: string, n: bigint, phi: bigint|null, d: bigint|null,
+ *   crtParams: object|null, inverseSteps: object|null, keyGenSteps: Array<object>}}
+ */
+function importedKeyState(key) {
+  if (key.d === undefined) {
+    return {
+      p: '',
+      q: '',
+      e: key.e.toString(),
+      n: key.n,
+      phi: null,
+      d: null,
+      crtParams: null,
+      inverseSteps: null,
+      keyGenSteps: [
+        { title: 'Imported Public Key', value: `n = ${key.n} (${bitLength(key.n)} bits), e = ${key.e}` },
+        { title: 'Private Key', value: 'Not included. The key can encrypt, but decrypting needs d, which requires factoring n into p and q.' },
+      ],
+    };
+  }
+
+  const phiCalc = (key.p - 1n) * (key.q - 1n);
+  const lambda = phiCalc / gcd(key.p - 1n, key.q - 1n);
+  const usesLambda = (key.e * key.d) % phiCalc !== 1n;
+  return {
+    p: key.p.toString(),
+    q: key.q.toString(),
+    e: key.e.toString(),
+    n: key.n,
+    phi: phiCalc,
+    d: key.d,
+    crtParams: { dp: key.dp, dq: key.dq, qInv: key.qInv },
+    inverseSteps: extendedEuclideanWithSteps(phiCalc, key.e),
+    keyGenSteps: [
+      { title: 'Imported Primes', value: `p = ${key.p}, q = ${key.q}` },
+      { title: 'Calculate n', value: `n = p * q = ${key.n} (${bitLength(key.n)} bits, matches the imported modulus)` },
+      { title: 'Calculate φ(n)', value: `φ(n) = (p-1) * (q-1) = ${phiCalc}` },
+      { title: 'Public Exponent e', value: `Imported e = ${key.e}` },
+      usesLambda
+        ? { title: 'Private Exponent d', value: `Imported d = ${key.d}. It satisfies e·d ≡ 1 mod λ(n), where λ(n) = lcm(p-1, q-1) = ${lambda}. Most libraries use λ(n); e⁻¹ mod φ(n) = ${modInverse(key.e, phiCalc)} decrypts identically.` }
+        : { title: 'Private Exponent d', value: `Imported d = ${key.d} = e⁻¹ mod φ(n)` },
+      { title: 'CRT Parameters', value: `dp = ${key.dp}, dq = ${key.dq}, qInv = ${key.qInv}` },
+    ],
+  };
+}
+
+// n, φ(n), d, the CRT parameters and their steps for a valid p, q and e (strings, as typed)
+function derivedKeyState(pStr, qStr, eStr) {
+  const [pVal, qVal, eVal] = [pStr, qStr, eStr].map(BigInt);
+  const nCalc = pVal * qVal;
+  const phiCalc = (pVal - 1n) * (qVal - 1n);
+  const dCalc = modInverse(eVal, phiCalc);
+  const crt = deriveCrtParams(pVal, qVal, dCalc);
+  return {
+    n: nCalc,
+    phi: phiCalc,
+    d: dCalc,
+    crtParams: crt,
+    inverseSteps: extendedEuclideanWithSteps(phiCalc, eVal),
+    keyGenSteps: [
+      { title: 'Calculate n', value: `n = p * q = ${pStr} * ${qStr} = ${nCalc}` },
+      { title: 'Calculate φ(n)', value: `φ(n) = (p-1) * (q-1) = ${pVal - 1n} * ${qVal - 1n} = ${phiCalc}` },
+      { title: 'Public Exponent e', value: `Chosen e = ${eVal}. GCD(e, φ(n)) = GCD(${eVal}, ${phiCalc}) = 1` },
+      { title: 'Private Exponent d', value: `d = e⁻¹ mod φ(n) = ${eVal}⁻¹ mod ${phiCalc} = ${dCalc} (Extended Euclidean Algorithm below)` },
+      ...(isWienerVulnerable(dCalc, nCalc) ? [{
+        title: 'Warning: d Is Tiny',
+        value: `d = ${dCalc} < n^(1/4) / 3, so Wiener's attack recovers it from (n, e) alone. Try it in the Wiener attack card below.`,
+      }] : []),
+      { title: 'CRT Parameters', value: `dp = d mod (p-1) = ${crt.dp}, dq = d mod (q-1) = ${crt.dq}, qInv = q⁻¹ mod p = ${crt.qInv}` },
+    ],
+  };
+}
+
+/**
+ * Encrypts the visualizer's message: textbook RSA on M, block mode once M ≥ n, or PKCS#1 v1.5 / OAEP padding.
+ * @param {{n: bigint, e: string, plaintext: string, padding: string}} params
+ * @returns {Promise<{messageInt: bigint|Array<bigint>|null, ciphertext: bigint|Array<bigint>|null, encryptionSteps: Array<object>}>}
+ */
+async function encryptMessage({ n, e, plaintext, padding }) {
+  if (padding !== 'none') return encryptPadded({ n, e, plaintext, padding });
+
+  // 1. Convert plaintext to message integer M
+  const mVal = textToBigInt(plaintext);
+
+  // M doesn't fit below n: switch to block mode
+  if (mVal >= n) return encryptBlocks({ n, e, plaintext }, mVal);
+
+  // 2. Calculate Ciphertext C = M^e mod n
+  const modPowRun = modPowWithSteps(mVal, BigInt(e), n);
+  const { result } = modPowRun;
+
+  // 3. Set visualization steps
+  return {
+    messageInt: mVal,
+    ciphertext: result,
+    encryptionSteps: [
+      { title: 'Convert Text to Integer (M)', value: `"${plaintext}" → ${mVal}` },
+      { title: 'Encryption Formula', value: `C = Mᵉ mod n` },
+      { title: 'Calculation', value: `C = ${mVal}^${e} mod ${n}` },
+      { title: 'Modular Exponentiation', value: `See steps below...`, modPowRun },
+      { title: 'Ciphertext (C)', value: `${result}` }
+    ],
+  };
+}
+
+// Block mode: split the UTF-8 bytes into chunks that each fit below n
+// and encrypt every chunk separately. The ciphertext becomes a list.
+function encryptBlocks({ n, e, plaintext }, mVal) {
+  if (getBlockSize(n) < 1) {
+    return {
+      messageInt: mVal,
+      ciphertext: null,
+      encryptionSteps: [
+        { title: 'Error', value: 'n is too small to hold a single byte of the message.' },
+        { title: 'M', value: `${mVal}` },
+        { title: 'n', value: `${n}` },
+        { title: 'Info', value: 'Use larger primes (p, q) so that n ≥ 256.' }
+      ],
+    };
+  }
+
+  const { blockSize, blocks } = textToBlocks(plaintext, n, getBlockSize(n), { padLastBlock: true });
+  const blockResults = blocks.map((block) => modPowWithSteps(block.value, BigInt(e), n));
+  const cipherBlocks = blockResults.map(({ result }) => result);
+
+  return {
+    messageInt: mVal,
+    ciphertext: cipherBlocks,
+    encryptionSteps: [
+      { title: 'Convert Text to Integer (M)', value: `"${plaintext}" → ${mVal}` },
+      {
+        title: 'Block Mode',
+        value: `M ≥ n, so the UTF-8 bytes are split into ${blockSize}-byte blocks (each block < n). The last block is filled with 80 00 … 00 so its leading zero bytes survive decryption`,
+        blocks: blocks.map(({ bytes, value }) => ({ bytes: Array.from(bytes), value })),
+      },
+      { title: 'Encryption Formula', value: `Cᵢ = Mᵢᵉ mod n (each block separately)` },
+      ...blocks.map((block, i) => ({
+        title: `Block ${i + 1}`,
+        value: `C${i + 1} = ${block.value}^${e} mod ${n} = ${cipherBlocks[i]}`,
+        modPowRun: blockResults[i],
+      })),
+      { title: 'Ciphertext Blocks (C)', value: formatValue(cipherBlocks) }
+    ],
+  };
+}
+
+// Padded encryption: encode each chunk (PKCS#1 v1.5 or OAEP) before exponentiation
+async function encryptPadded({ n, e, plaintext, padding }) {
+  const k = getByteLength(n);
+  const blockSize = getBlockSize(n, padding);
+  if (blockSize < 1) {
+    const overhead = padding === 'oaep' ? OAEP_SHA256_OVERHEAD : PKCS1_V15_OVERHEAD;
+    return {
+      messageInt: null,
+      ciphertext: null,
+      encryptionSteps: [
+        { title: 'Error', value: `n is too small for ${PADDING_NAMES[padding]} padding.` },
+        { title: 'n', value: `${n} (${k} bytes)` },
+        { title: 'Info', value: `Padding needs ${overhead} bytes of overhead plus 1 message byte, so n must be at least ${overhead + 1} bytes (${(overhead + 1) * 8} bits). Use larger primes (p, q).` }
+      ],
+    };
+  }
+
+  const { blocks } = textToBlocks(plaintext, n, blockSize);
+  const results = [];
+  for (const { bytes } of blocks) {
+    const { em, steps: encodingSteps } = await encodePaddedBlock(padding, bytes, k);
+    const mVal = bytesToBigInt(em);
+    results.push({ encodingSteps, mVal, modPowRun: modPowWithSteps(mVal, BigInt(e), n) });
+  }
+  const pick = (values) => (values.length === 1 ? values[0] : values);
+  const cipherValue = pick(results.map(({ modPowRun }) => modPowRun.result));
+  const label = (title, i) => (results.length > 1 ? `Block ${i + 1}: ${title}` : title);
+
+  return {
+    messageInt: pick(results.map(({ mVal }) => mVal)),
+    ciphertext: cipherValue,
+    encryptionSteps: [
+      { title: 'Convert Text to Bytes', value: `"${plaintext}" → ${toHex(concatBytes(blocks.map(({ bytes }) => bytes)))}` },
+      ...(blocks.length > 1 ? [{
+        title: 'Block Mode',
+        value: `The message is split into ${blockSize}-byte chunks, each padded separately`,
+        blocks: blocks.map(({ bytes, value }) => ({ bytes: Array.from(bytes), value })),
+      }] : []),
+      ...results.flatMap(({ encodingSteps, mVal, modPowRun }, i) => [
+        ...encodingSteps.map((step) => ({ ...step, title: label(step.title, i) })),
+        { title: label('Padded Integer (M)', i), value: `EM → ${mVal}` },
+        { title: label('Modular Exponentiation', i), value: `C = ${mVal}^${e} mod ${n} = ${modPowRun.result}`, modPowRun },
+      ]),
+      { title: 'Ciphertext (C)', value: formatValue(cipherValue) },
+      { title: 'Why the ciphertext changes', value: 'The padding uses fresh random bytes on every run, so encrypting the same plaintext again gives a different C.' }
+    ],
+  };
+}
+
+/**
+ * Decrypts the visualizer's ciphertext directly and, when the CRT parameters are known, with the CRT as well.
+ * @param {{n: bigint, d: bigint, p: string, q: string, crtParams: object|null, ciphertext: bigint|Array<bigint>, padding: string}} params
+ * @returns {Promise<{decryptedMessageInt: bigint|Array<bigint>|null, decryptedPlaintext: string, decryptionSteps: Array<object>,
+ *   crtDecryptionSteps: Array<object>, decryptionComparison: object|null}>}
+ */
+async function decryptMessage({ n, d, p, q, crtParams, ciphertext, padding }) {
+  const crt = crtParams
+    ? decryptWithCrt({ n, d, p: BigInt(p), q: BigInt(q), ...crtParams }, ciphertext)
+    : { crtDecryptionSteps: [], decryptionComparison: null };
+
+  if (padding !== 'none') return { ...crt, ...(await decryptPadded({ n, d, ciphertext, padding })) };
+  if (Array.isArray(ciphertext)) return { ...crt, ...decryptBlocks({ n, d, ciphertext }) };
+
+  // 1. Calculate Decrypted Message M' = C^d mod n
+  const modPowRun = modPowWithSteps(ciphertext, d, n);
+  const { result } = modPowRun;
+
+  // 2. Convert integer back to text
+  const M_prime_text = bigIntToText(result);
+
+  // 3. Set visualization steps
+  return {
+    ...crt,
+    decryptedMessageInt: result,
+    decryptedPlaintext: M_prime_text,
+    decryptionSteps: [
+      { title: 'Decryption Formula', value: `M' = Cᵈ mod n` },
+      { title: 'Calculation', value: `M' = ${ciphertext}^${d} mod ${n}` },
+      { title: 'Modular Exponentiation', value: `See steps below...`, modPowRun },
+      { title: 'Decrypted Integer (M\')', value: `${result}` },
+      { title: 'Convert Integer to Text', value: `${result} → "${M_prime_text}"` }
+    ],
+  };
+}
+
+// CRT path: two half-size exponentiations (mod p and mod q) and Garner's recombination.
+// It yields the same integer as Cᵈ mod n, so padding removal and text conversion are unchanged.
+function decryptWithCrt(key, ciphertext) {
+  const cipherBlocks = Array.isArray(ciphertext) ? ciphertext : [ciphertext];
+  const label = (title, i) => (cipherBlocks.length > 1 ? `Block ${i + 1}: ${title}` : title);
+  const steps = [
+    { title: 'CRT Formula', value: `m1 = C^dp mod p, m2 = C^dq mod q, m = m2 + q·(qInv·(m1 − m2) mod p)` },
+  ];
+
+  cipherBlocks.forEach((block, i) => {
+    const { m1, m2, recombinationSteps, result } = crtDecryptWithSteps(block, key);
+    steps.push(
+      { title: label('m1 = C^dp mod p', i), value: `m1 = ${block}^${key.dp} mod ${key.p} = ${m1.result}`, modPowRun: m1 },
+      { title: label('m2 = C^dq mod q', i), value: `m2 = ${block}^${key.dq} mod ${key.q} = ${m2.result}`, modPowRun: m2 },
+      { title: label('Recombine', i), value: `M' = ${result}`, stepsLog: recombinationSteps },
+    );
+  });
+
+  return { crtDecryptionSteps: steps, decryptionComparison: compareDecryptionCost(key) };
+}
+
+// Block mode: decrypt each block and reassemble the bytes into text
+function decryptBlocks({ n, d, ciphertext }) {
+  const blockSize = getBlockSize(n);
+  const blockResults = ciphertext.map((block) => modPowWithSteps(block, d, n));
+  const messageBlocks = blockResults.map(({ result }) => result);
+  const steps = [
+    { title: 'Decryption Formula', value: `Mᵢ' = Cᵢᵈ mod n (each block separately)` },
+    ...ciphertext.map((block, i) => ({
+      title: `Block ${i + 1}`,
+      value: `M${i + 1}' = ${block}^${d} mod ${n} = ${messageBlocks[i]}`,
+      modPowRun: blockResults[i],
+    })),
+  ];
+
+  let text;
+  try {
+    text = blocksToText(messageBlocks, blockSize);
+  } catch (err) {
+    steps.push({ title: 'Error', value: err.message });
+    return { decryptedMessageInt: messageBlocks, decryptedPlaintext: '', decryptionSteps: steps };
+  }
+
+  return {
+    decryptedMessageInt: messageBlocks,
+    decryptedPlaintext: text,
+    decryptionSteps: [
+      ...steps,
+      {
+        title: 'Reassemble Blocks',
+        value: `${formatValue(messageBlocks)} → "${text}"`,
+        blocks: messageBlocks.map((value) => ({
+          bytes: Array.from(bigIntToBytes(value, blockSize)),
+          value,
+        })),
+      }
+    ],
+  };
+}
+
+// Padded decryption: decrypt each block, then strictly check and strip the padding
+async function decryptPadded({ n, d, ciphertext, padding }) {
+  const k = getByteLength(n);
+  const cipherBlocks = Array.isArray(ciphertext) ? ciphertext : [ciphertext];
+  const label = (title, i) => (cipherBlocks.length > 1 ? `Block ${i + 1}: ${title}` : title);
+  const steps = [{ title: 'Decryption Formula', value: `EM = Cᵈ mod n, then remove the ${PADDING_NAMES[padding]} padding` }];
+  const decryptedValues = [];
+  const messageChunks = [];
+
+  for (const [i, block] of cipherBlocks.entries()) {
+    const modPowRun = modPowWithSteps(block, d, n);
+    const { result } = modPowRun;
+    const em = bigIntToBytes(result, k);
+    decryptedValues.push(result);
+    steps.push({ title: label('Modular Exponentiation', i), value: `EM = ${block}^${d} mod ${n} = ${result}`, modPowRun });
+    try {
+      const { message, steps: decodingSteps } = await decodePaddedBlock(padding, em);
+      messageChunks.push(message);
+      steps.push(...decodingSteps.map((step) => ({ ...step, title: label(step.title, i) })));
+    } catch (err) {
+      steps.push({ title: 'Error', value: err.message, byteLayout: [{ label: 'EM', bytes: Array.from(em), tone: 'error' }] });
+      return { decryptedMessageInt: null, decryptedPlaintext: '', decryptionSteps: steps };
+    }
+  }
+
+  const text = new TextDecoder().decode(concatBytes(messageChunks));
+  return {
+    decryptedMessageInt: decryptedValues.length === 1 ? decryptedValues[0] : decryptedValues,
+    decryptedPlaintext: text,
+    decryptionSteps: [...steps, { title: 'Convert Bytes to Text', value: `${toHex(concatBytes(messageChunks))} → "${text}"` }],
+  };
+}
+
+/**
+ * Rebuilds the visualizer state a link or an imported worked example points at: the key, the message and,
+ * for the encrypt and decrypt stages, the encryption and decryption that lead up to the linked step.
+ * @param {{p?: bigint, q?: bigint, e?: bigint, plaintext: string, padding: string, stage?: string, step?: number}} session
+ *   From parsePermalink or parseWorkedExample.
+ * @returns {Promise<object>} Fields named like VisualizerModeContainer's state; missing ones keep their defaults.
+ */
+async function restoreVisualizerSession(session) {
+  const state = { plaintext: session.plaintext, padding: session.padding };
+  if (session.p === undefined) return state;
+
+  const [p, q, e] = [session.p, session.q, session.e].map(String);
+  Object.assign(state, { p, q, e }, derivedKeyState(p, q, e));
+  if (session.stage === 'encrypt' || session.stage === 'decrypt') {
+    Object.assign(state, await encryptMessage(state));
+  }
+  if (session.stage === 'decrypt' && state.ciphertext !== null) {
+    Object.assign(state, await decryptMessage(state));
+  }
+  if (session.stage) state.playbackPosition = { stage: session.stage, step: session.step };
+  return state;
+}
+
 /**
  * This component now holds all the shared state for the
  * visualizer mode, including keys and calculation steps.
  */
-function VisualizerModeContainer() {
+function VisualizerModeContainer({ importedKey, onImportKey, restored, onSessionChange }) {
+  // A restored link, or else a key imported in either mode, fills the state when this mode mounts
+  const [initial] = useState(() => restored ?? (importedKey ? importedKeyState(importedKey) : {}));
+
   // --- Key Generation State (Lifted) ---
-  const [p, setP] = useState('');
-  const [q, setQ] = useState('');
-  const [e, setE] = useState('');
-  const [n, setN] = useState(null);
-  const [phi, setPhi] = useState(null);
-  const [d, setD] = useState(null);
+  const [p, setP] = useState(initial.p ?? '');
+  const [q, setQ] = useState(initial.q ?? '');
+  const [e, setE] = useState(initial.e ?? '');
+  const [n, setN] = useState(initial.n ?? null);
+  const [phi, setPhi] = useState(initial.phi ?? null);
+  const [d, setD] = useState(initial.d ?? null);
+  const [crtParams, setCrtParams] = useState(initial.crtParams ?? null); // { dp, dq, qInv }
   
   // --- Key Generation UI State ---
   const [pError, setPError] = useState(null);
   const [qError, setQError] = useState(null);
   const [eError, setEError] = useState(null);
-  const [keyGenSteps, setKeyGenSteps] = useState([]);
-  const [currentKeyGenStep, setCurrentKeyGenStep] = useState(0);
+  const [keyGenSteps, setKeyGenSteps] = useState(initial.keyGenSteps ?? []);
+  const [inverseSteps, setInverseSteps] = useState(initial.inverseSteps ?? null); // extendedEuclideanWithSteps(φ(n), e)
 
   // --- Encryption State ---
-  const [plaintext, setPlaintext] = useState('');
-  const [messageInt, setMessageInt] = useState(null); // M
-  const [ciphertext, setCiphertext] = useState(null); // C
-  const [encryptionSteps, setEncryptionSteps] = useState([]);
+  const [plaintext, setPlaintext] = useState(initial.plaintext ?? '');
+  const [padding, setPadding] = useState(initial.padding ?? 'none'); // 'none', 'pkcs1' or 'oaep'
+  const [messageInt, setMessageInt] = useState(initial.messageInt ?? null); // M
+  const [ciphertext, setCiphertext] = useState(initial.ciphertext ?? null); // C
+  const [encryptionSteps, setEncryptionSteps] = useState(initial.encryptionSteps ?? []);
 
   // --- Decryption State (New) ---
-  const [decryptedMessageInt, setDecryptedMessageInt] = useState(null); // M'
-  const [decryptedPlaintext, setDecryptedPlaintext] = useState('');
-  const [decryptionSteps, setDecryptionSteps] = useState([]);
+  const [decryptedMessageInt, setDecryptedMessageInt] = useState(initial.decryptedMessageInt ?? null); // M'
+  const [decryptedPlaintext, setDecryptedPlaintext] = useState(initial.decryptedPlaintext ?? '');
+  const [decryptionSteps, setDecryptionSteps] = useState(initial.decryptionSteps ?? []);
+  const [crtDecryptionSteps, setCrtDecryptionSteps] = useState(initial.crtDecryptionSteps ?? []);
+  const [decryptionComparison, setDecryptionComparison] = useState(initial.decryptionComparison ?? null);
+  const [decryptionMethod, setDecryptionMethod] = useState('direct'); // 'direct' or 'crt'
+
+  // --- Playback State (one cursor across key generation, encryption and decryption) ---
+  const [playbackPosition, setPlaybackPosition] = useState(initial.playbackPosition ?? { stage: 'keygen', step: 0 });
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [playbackNotice, setPlaybackNotice] = useState('');
 
   // --- Derived State ---
   const isKeyGenerationReady = p && q && !pError && !qError;
   const isKeyReady = n && e && d && phi;
+  const isPublicKeyReady = n && e;
 
   // --- Handlers for Key Generation ---
   
@@ -147,11 +786,14 @@ function VisualizerModeContainer() {
     resetCalculations();
   };
 
-  const handleGenerateKeys = () => {
-    const pVal = BigInt(p);
-    const qVal = BigInt(q);
+  const handleGenerateKeys = () => generateKeys(p, q, e);
+
+  // Derives n, φ(n), d and the CRT parameters from p, q and e as typed (strings)
+  const generateKeys = (pStr, qStr, eStr) => {
+    const pVal = BigInt(pStr);
+    const qVal = BigInt(qStr);
     
-    if (!validateP(p, q) || !validateQ(q, p)) return;
+    if (!validateP(pStr, qStr) || !validateQ(qStr, pStr)) return;
     
     const nCalc = pVal * qVal;
     const phiCalc = (pVal - 1n) * (qVal - 1n);
@@ -159,23 +801,65 @@ function VisualizerModeContainer() {
     setN(nCalc);
     setPhi(phiCalc);
     
-    if (!e || !validateE(e, phiCalc)) {
+    if (!eStr || !validateE(eStr, phiCalc)) {
       // If e is not set or invalid, stop here
-      if (!e) setEError('e is required.');
+      if (!eStr) setEError('e is required.');
       return;
     }
     
-    const eVal = BigInt(e);
-    const dCalc = modInverse(eVal, phiCalc);
-    setD(dCalc);
-    
-    setKeyGenSteps([
-      { title: 'Calculate n', value: `n = p * q = ${p} * ${q} = ${nCalc}` },
-      { title: 'Calculate φ(n)', value: `φ(n) = (p-1) * (q-1) = ${pVal - 1n} * ${qVal - 1n} = ${phiCalc}` },
-      { title: 'Public Exponent e', value: `Chosen e = ${eVal}. GCD(e, φ(n)) = GCD(${eVal}, ${phiCalc}) = 1` },
-      { title: 'Private Exponent d', value: `d = e⁻¹ mod φ(n) = ${eVal}⁻¹ mod ${phiCalc} = ${dCalc}` },
-    ]);
-    setCurrentKeyGenStep(0);
+    const keys = derivedKeyState(pStr, qStr, eStr);
+    setD(keys.d);
+    setInverseSteps(keys.inverseSteps);
+    setCrtParams(keys.crtParams);
+    setKeyGenSteps(keys.keyGenSteps);
+    setPlaybackPosition({ stage: 'keygen', step: 0 });
+  };
+
+  // Picks p, q and e whose d falls below Wiener's bound, then derives the keys as usual
+  const handleGenerateVulnerableKey = () => {
+    const key = generateWienerVulnerableKey();
+    const [pStr, qStr, eStr] = [key.p, key.q, key.e].map(String);
+    resetCalculations();
+    setP(pStr);
+    setQ(qStr);
+    setE(eStr);
+    generateKeys(pStr, qStr, eStr);
+  };
+
+  // Replaces the key, message and results at once (from importedKeyState or restoreVisualizerSession).
+  // Fields the new state leaves out are cleared; the padding is kept unless it sets one.
+  const applyState = (state) => {
+    setPError(null);
+    setQError(null);
+    setEError(null);
+    setP(state.p ?? '');
+    setQ(state.q ?? '');
+    setE(state.e ?? '');
+    setN(state.n ?? null);
+    setPhi(state.phi ?? null);
+    setD(state.d ?? null);
+    setCrtParams(state.crtParams ?? null);
+    setInverseSteps(state.inverseSteps ?? null);
+    setKeyGenSteps(state.keyGenSteps ?? []);
+    setPlaintext(state.plaintext ?? '');
+    if (state.padding) setPadding(state.padding);
+    setMessageInt(state.messageInt ?? null);
+    setCiphertext(state.ciphertext ?? null);
+    setEncryptionSteps(state.encryptionSteps ?? []);
+    setDecryptedMessageInt(state.decryptedMessageInt ?? null);
+    setDecryptedPlaintext(state.decryptedPlaintext ?? '');
+    setDecryptionSteps(state.decryptionSteps ?? []);
+    setCrtDecryptionSteps(state.crtDecryptionSteps ?? []);
+    setDecryptionComparison(state.decryptionComparison ?? null);
+    setPlaybackPosition(state.playbackPosition ?? { stage: 'keygen', step: 0 });
+    setIsPlaying(false);
+    setPlaybackNotice('');
+  };
+
+  // A key imported here is applied now; App keeps it for the other mode's next mount
+  const handleImportKey = (key) => {
+    applyState(importedKeyState(key));
+    onImportKey(key);
   };
 
   // --- Reset Handlers (Updated) ---
@@ -185,9 +869,13 @@ function VisualizerModeContainer() {
     setPhi(null);
     setE('');
     setD(null);
+    setCrtParams(null);
     setEError(null);
     setKeyGenSteps([]);
-    setCurrentKeyGenStep(0);
+    setInverseSteps(null);
+    setPlaybackPosition({ stage: 'keygen', step: 0 });
+    setIsPlaying(false);
+    setPlaybackNotice('');
     // Reset encryption & decryption as well
     resetEncryption();
   };
@@ -200,18 +888,20 @@ function VisualizerModeContainer() {
     resetDecryption(); // Chain the reset
   }
   
-  const resetDecryption = () => {
+  const resetDecryption = useCallback(() => {
     setDecryptedMessageInt(null);
     setDecryptedPlaintext('');
     setDecryptionSteps([]);
-  }
+    setCrtDecryptionSteps([]);
+    setDecryptionComparison(null);
+  }, []);
 
   // --- Validation (Slightly modified) ---
 
   const validateP = (pVal, qVal) => {
     if (pVal === '') { setPError('Prime p is required.'); return false; }
-    const num = Number(pVal);
-    if (!isPrime(num)) { setPError('p must be a prime number.'); return false; }
+    const num = parseBigInt(pVal);
+    if (num === null || !isPrime(num)) { setPError('p must be a prime number.'); return false; }
     if (qVal && pVal === qVal) { setPError('p and q must be different.'); return false; }
     setPError(null);
     return true;
@@ -219,8 +909,8 @@ function VisualizerModeContainer() {
 
   const validateQ = (qVal, pVal) => {
     if (qVal === '') { setQError('Prime q is required.'); return false; }
-    const num = Number(qVal);
-    if (!isPrime(num)) { setQError('q must be a prime number.'); return false; }
+    const num = parseBigInt(qVal);
+    if (num === null || !isPrime(num)) { setQError('q must be a prime number.'); return false; }
     if (pVal && qVal === pVal) { setQError('p and q must be different.'); return false; }
     setQError(null);
     return true;
@@ -242,81 +932,224 @@ function VisualizerModeContainer() {
   
   // --- Handlers for Encryption ---
 
-  const handleEncrypt = () => {
+  // Switching padding invalidates the current ciphertext
+  const handlePaddingChange = (value) => {
+    setPadding(value);
+    setMessageInt(null);
+    setCiphertext(null);
+    setEncryptionSteps([]);
+    resetDecryption();
+  };
+
+  // The encrypt and decrypt handlers, and the playback handlers built on them, are memoized
+  // so the playback timer and the keyboard shortcuts below can depend on them
+  const handleEncrypt = useCallback(async () => {
     resetDecryption(); // Clear old decryption results
-    if (!plaintext || !isKeyReady) return;
-    
-    // 1. Convert plaintext to message integer M
-    const mVal = textToBigInt(plaintext);
-    
-    if (mVal >= n) {
-      setEncryptionSteps([
-        { title: 'Error', value: 'Message integer (M) is larger than n.' },
-        { title: 'M', value: `${mVal}` },
-        { title: 'n', value: `${n}` },
-        { title: 'Info', value: 'Use a shorter message or larger primes (p, q).' }
-      ]);
-      setMessageInt(mVal);
-      setCiphertext(null);
+    if (!plaintext || !isPublicKeyReady) return;
+
+    const encryption = await encryptMessage({ n, e, plaintext, padding });
+    setMessageInt(encryption.messageInt);
+    setCiphertext(encryption.ciphertext);
+    setEncryptionSteps(encryption.encryptionSteps);
+  }, [resetDecryption, plaintext, isPublicKeyReady, n, e, padding]);
+
+  // --- Handlers for Decryption (New) ---
+  const handleDecrypt = useCallback(async () => {
+    if (ciphertext === null || !isKeyReady) return;
+
+    const decryption = await decryptMessage({ n, d, p, q, crtParams, ciphertext, padding });
+    setDecryptedMessageInt(decryption.decryptedMessageInt);
+    setDecryptedPlaintext(decryption.decryptedPlaintext);
+    setDecryptionSteps(decryption.decryptionSteps);
+    setCrtDecryptionSteps(decryption.crtDecryptionSteps);
+    setDecryptionComparison(decryption.decryptionComparison);
+  }, [ciphertext, isKeyReady, n, d, p, q, crtParams, padding]);
+
+  // Times direct vs CRT decryption of the first block for the CRT tab's comparison
+  const measureDecryptionTiming = () => measureDecryptionTime(
+    Array.isArray(ciphertext) ? ciphertext[0] : ciphertext,
+    { n, d, p: BigInt(p), q: BigInt(q), ...crtParams },
+  );
+
+  // --- Playback (step-through walkthrough) ---
+
+  const stageSteps = useMemo(() => ({
+    keygen: keyGenSteps,
+    encrypt: encryptionSteps,
+    decrypt: decryptionMethod === 'crt' && crtDecryptionSteps.length > 0 ? crtDecryptionSteps : decryptionSteps,
+  }), [keyGenSteps, encryptionSteps, decryptionMethod, crtDecryptionSteps, decryptionSteps]);
+  // A recalculation can leave fewer steps than the cursor points at
+  const currentStep = Math.min(playbackPosition.step, Math.max(stageSteps[playbackPosition.stage].length - 1, 0));
+
+  // Runs a card's calculation (from its button or the walkthrough) and moves the cursor to its first step
+  const runStage = useCallback(async (stage) => {
+    setPlaybackNotice('');
+    await (stage === 'encrypt' ? handleEncrypt() : handleDecrypt());
+    setPlaybackPosition({ stage, step: 0 });
+  }, [handleEncrypt, handleDecrypt]);
+
+  // At the end of a card, continues into the next one, running its calculation if it has no steps yet
+  const handleNextStep = useCallback(async () => {
+    const { stage } = playbackPosition;
+    if (currentStep < stageSteps[stage].length - 1) {
+      setPlaybackPosition({ stage, step: currentStep + 1 });
       return;
     }
-    
-    setMessageInt(mVal);
-    
-    // 2. Calculate Ciphertext C = M^e mod n
-    const { steps, result } = modPowWithSteps(mVal, BigInt(e), n);
-    
-    setCiphertext(result);
-    
-    // 3. Set visualization steps
-    const finalSteps = [
-      { title: 'Convert Text to Integer (M)', value: `"${plaintext}" → ${mVal}` },
-      { title: 'Encryption Formula', value: `C = Mᵉ mod n` },
-      { title: 'Calculation', value: `C = ${mVal}^${e} mod ${n}` },
-      { title: 'Modular Exponentiation', value: `See steps below...`, stepsLog: steps },
-      { title: 'Ciphertext (C)', value: `${result}` }
-    ];
-    setEncryptionSteps(finalSteps);
+    const next = PLAYBACK_STAGES[PLAYBACK_STAGES.indexOf(stage) + 1];
+    if (next && stageSteps[next].length > 0) {
+      setPlaybackPosition({ stage: next, step: 0 });
+    } else if (next === 'encrypt' && isPublicKeyReady && plaintext) {
+      await runStage('encrypt');
+    } else if (next === 'decrypt' && isKeyReady && ciphertext !== null) {
+      await runStage('decrypt');
+    } else {
+      setIsPlaying(false);
+      setPlaybackNotice(
+        !next ? 'End of the walkthrough.'
+          : !isPublicKeyReady ? 'Generate keys first.'
+            : next === 'encrypt' ? 'Type a message in step 2 to continue.'
+              : 'Decryption needs the private key and a ciphertext.'
+      );
+    }
+  }, [playbackPosition, currentStep, stageSteps, isPublicKeyReady, plaintext, isKeyReady, ciphertext, runStage]);
+
+  const handlePrevStep = useCallback(() => {
+    setPlaybackNotice('');
+    const { stage } = playbackPosition;
+    if (currentStep > 0) {
+      setPlaybackPosition({ stage, step: currentStep - 1 });
+      return;
+    }
+    const previous = PLAYBACK_STAGES.slice(0, PLAYBACK_STAGES.indexOf(stage)).reverse()
+      .find((candidate) => stageSteps[candidate].length > 0);
+    if (previous) setPlaybackPosition({ stage: previous, step: stageSteps[previous].length - 1 });
+  }, [playbackPosition, currentStep, stageSteps]);
+
+  const handleTogglePlay = useCallback(() => {
+    setPlaybackNotice('');
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Playing from the very last step starts the walkthrough over
+    if (playbackPosition.stage === 'decrypt' && currentStep === stageSteps.decrypt.length - 1) {
+      setPlaybackPosition({ stage: 'keygen', step: 0 });
+    }
+    setIsPlaying(true);
+  }, [isPlaying, playbackPosition.stage, currentStep, stageSteps]);
+
+  // Controls inside a card act on that card: if the cursor is elsewhere, they first jump to its first step
+  const playbackFor = (stage) => {
+    const isActive = playbackPosition.stage === stage;
+    const focusThen = (action) => () => {
+      if (isActive) {
+        action();
+        return;
+      }
+      setPlaybackNotice('');
+      setPlaybackPosition({ stage, step: 0 });
+    };
+    return {
+      step: isActive ? currentStep : null,
+      total: stageSteps[stage].length,
+      isPlaying: isActive && isPlaying,
+      speed: playbackSpeed,
+      notice: isActive ? playbackNotice : '',
+      onPrev: focusThen(handlePrevStep),
+      onNext: focusThen(handleNextStep),
+      onTogglePlay: isActive ? handleTogglePlay : () => {
+        setPlaybackNotice('');
+        setPlaybackPosition({ stage, step: 0 });
+        setIsPlaying(true);
+      },
+      onSpeedChange: setPlaybackSpeed,
+    };
   };
-  
-  // --- Handlers for Decryption (New) ---
-  const handleDecrypt = () => {
-    if (ciphertext === null || !isKeyReady) return;
 
-    // 1. Calculate Decrypted Message M' = C^d mod n
-    const { steps, result } = modPowWithSteps(ciphertext, d, n);
-    
-    setDecryptedMessageInt(result);
+  // Advance one step per tick; handleNextStep changes with the cursor, so the timer restarts whenever it moves
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(handleNextStep, PLAYBACK_STEP_MS / playbackSpeed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, handleNextStep, playbackSpeed]);
 
-    // 2. Convert integer back to text
-    const M_prime_text = bigIntToText(result);
-    setDecryptedPlaintext(M_prime_text);
+  // Keyboard shortcuts: ← / → step, Space play/pause (ignored while typing or on a focused control)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey || keyGenSteps.length === 0) return;
+      if (event.target.closest('input, textarea, select, button')) return;
+      const action = { ArrowLeft: handlePrevStep, ArrowRight: handleNextStep, ' ': handleTogglePlay }[event.key];
+      if (!action) return;
+      event.preventDefault();
+      action();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keyGenSteps.length, handlePrevStep, handleNextStep, handleTogglePlay]);
 
-    // 3. Set visualization steps
-    const finalSteps = [
-      { title: 'Decryption Formula', value: `M' = Cᵈ mod n` },
-      { title: 'Calculation', value: `M' = ${ciphertext}^${d} mod ${n}` },
-      { title: 'Modular Exponentiation', value: `See steps below...`, stepsLog: steps },
-      { title: 'Decrypted Integer (M\')', value: `${result}` },
-      { title: 'Convert Integer to Text', value: `${result} → "${M_prime_text}"` }
-    ];
-    setDecryptionSteps(finalSteps);
+  // --- Permalink ---
+
+  // Rebuilds an imported worked example up to its last stage; a link is restored before this mode mounts
+  const handleImportExample = async (imported) => {
+    applyState(await restoreVisualizerSession(imported));
   };
 
+  // Reports what the permalink should hold; p, q and e only once they form a valid key
+  const linkStage = stageSteps[playbackPosition.stage].length > 0 ? playbackPosition.stage : null;
+  const linkStep = linkStage ? currentStep + 1 : null;
+  useEffect(() => {
+    const hasKey = d !== null && phi !== null && p !== '' && q !== '' && !eError;
+    onSessionChange({
+      ...(hasKey ? { p, q, e } : {}),
+      m: plaintext,
+      padding: padding === 'none' ? null : padding,
+      ...(hasKey && linkStage ? { stage: linkStage, step: linkStep } : {}),
+    });
+  }, [p, q, e, d, phi, eError, plaintext, padding, linkStage, linkStep, onSessionChange]);
+
+  // --- Worked Example Export ---
+
+  // Built on demand: the step logs of a large imported key are expensive to format
+  const buildExample = () => buildWorkedExample({
+    key: { p, q, e, n, phi, d, ...crtParams },
+    plaintext,
+    padding,
+    ciphertext,
+    decryptedPlaintext,
+    keyGenSteps,
+    encryptionSteps,
+    decryptionSteps,
+    crtDecryptionSteps,
+  });
+
   // --- Render Method ---
   return (
     <>
+      <Card>
+        <CardHeader
+          icon={<FileUp className="w-6 h-6" />}
+          title="Import an Existing Key (optional)"
+          subtitle="Examine a PEM or DER key generated elsewhere instead of choosing p and q."
+        />
+        <div className="p-6">
+          <KeyImportPanel onImport={handleImportKey} />
+        </div>
+      </Card>
+
       <KeyGenerationVisualizer
         // Pass state down
         p={p} setP={setP} pError={pError}
         q={q} setQ={setQ} qError={qError}
         e={e} setE={setE} eError={eError}
         n={n} phi={phi} d={d}
-        steps={keyGenSteps} currentStep={currentKeyGenStep}
+        steps={keyGenSteps}
+        playback={playbackFor('keygen')}
+        inverseSteps={inverseSteps}
         isKeyGenerationReady={isKeyGenerationReady}
         // Pass handlers down
         handleGeneratePrimes={handleGeneratePrimes}
         handleGenerateKeys={handleGenerateKeys}
+        handleGenerateVulnerableKey={handleGenerateVulnerableKey}
         resetCalculations={resetCalculations}
         validateP={validateP}
         validateQ={validateQ}
@@ -324,7 +1157,7 @@ function VisualizerModeContainer() {
       />
       
       <AnimatePresence>
-        {isKeyReady && (
+        {isPublicKeyReady && (
           <motion.div
             initial={{ opacity: 0, y: -20 }}
             animate={{ opacity: 1, y: 0 }}
@@ -335,10 +1168,13 @@ function VisualizerModeContainer() {
               e={e}
               plaintext={plaintext}
               setPlaintext={setPlaintext}
+              padding={padding}
+              setPadding={handlePaddingChange}
               messageInt={messageInt}
               ciphertext={ciphertext}
               encryptionSteps={encryptionSteps}
-              handleEncrypt={handleEncrypt}
+              playback={playbackFor('encrypt')}
+              handleEncrypt={() => runStage('encrypt')}
               resetEncryption={resetEncryption}
             />
           </motion.div>
@@ -360,30 +1196,92 @@ function VisualizerModeContainer() {
               decryptedMessageInt={decryptedMessageInt}
               decryptedPlaintext={decryptedPlaintext}
               decryptionSteps={decryptionSteps}
-              handleDecrypt={handleDecrypt}
+              crtDecryptionSteps={crtDecryptionSteps}
+              decryptionComparison={decryptionComparison}
+              method={decryptionMethod}
+              setMethod={setDecryptionMethod}
+              playback={playbackFor('decrypt')}
+              handleDecrypt={() => runStage('decrypt')}
+              onMeasureTiming={measureDecryptionTiming}
             />
           </motion.div>
         )}
       </AnimatePresence>
-    </>
-  );
-}
 
+      <WorkedExampleCard
+        onBuild={keyGenSteps.length > 0 ? buildExample : null}
+        onImport={handleImportExample}
+      />
 
-// --- Core Components ---
+      <AnimatePresence>
+        {isPublicKeyReady && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            {/* Keyed by n so a new key clears the previous attack */}
+            <FactoringAttack key={n.toString()} n={n} e={e} ciphertext={ciphertext} padding={padding} />
+          </motion.div>
+        )}
+      </AnimatePresence>
 
-/**
- * KeyGenerationVisualizer
- */
-function KeyGenerationVisualizer({
-  p, setP, pError,
+      <AnimatePresence>
+        {isPublicKeyReady && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <WienerAttack key={`${n}:${e}`} n={n} e={e} ciphertext={ciphertext} padding={padding} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {isPublicKeyReady && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <CommonModulusAttack key={`${n}:${e}`} n={n} phi={phi} e={e} plaintext={plaintext} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {isKeyReady && ciphertext !== null && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <MalleabilityAttack key={`${n}:${e}`} n={n} e={e} d={d} ciphertext={ciphertext} padding={padding} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+
+// --- Core Components ---
+
+/**
+ * KeyGenerationVisualizer
+ */
+function KeyGenerationVisualizer({
+  p, setP, pError,
   q, setQ, qError,
   e, setE, eError,
   n, phi, d,
-  steps, currentStep,
+  steps, playback,
+  inverseSteps,
   isKeyGenerationReady,
   handleGeneratePrimes,
   handleGenerateKeys,
+  handleGenerateVulnerableKey,
   resetCalculations,
   validateP,
   validateQ,
@@ -403,7 +1301,9 @@ function KeyGenerationVisualizer({
     resetCalculations();
   };
 
+  // A new e invalidates d and everything encrypted so far; resetCalculations clears e, so it is set after
   const onEChange = (val) => {
+    resetCalculations();
     setE(val);
     validateE(val, phi);
   };
@@ -463,6 +1363,9 @@ function KeyGenerationVisualizer({
             <Zap className="w-5 h-5" />
             Generate Keys
           </Button>
+          <button onClick={handleGenerateVulnerableKey} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-red-400">
+            <Bug className="w-4 h-4" /> Generate a key with a dangerously small d (Wiener demo)
+          </button>
         </div>
         
         {/* --- RIGHT COLUMN (OUTPUTS) --- */}
@@ -490,35 +1393,99 @@ function KeyGenerationVisualizer({
       
       {steps.length > 0 && (
         <div className="p-6 border-t border-gray-700">
-          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Step-by-Step Calculation</h3>
-          <div className="flex flex-col gap-2">
-            {steps.map((step, index) => (
-              <div
-                key={index}
-                className={cn(
-                  "p-3 rounded-lg border",
-                  index === currentStep ? "border-cyan-500 bg-cyan-900/20" : "border-gray-700 bg-gray-800/50"
-                )}
-              >
-                <span className="font-semibold text-gray-200">{step.title}: </span>
-                <span className="font-mono text-cyan-300">{step.value}</span>
-              </div>
-            ))}
-          </div>
+          <StepsHeader title="Step-by-Step Calculation" playback={playback} />
+          <StepList steps={steps} currentStep={playback.step} />
         </div>
       )}
+
+      {inverseSteps && <ExtendedEuclideanTable {...inverseSteps} />}
     </Card>
   );
 }
 
+// Wraps negative coefficients in parentheses so "a · (-3)" reads unambiguously
+const formatCoefficient = (value) => (value < 0n ? `(${value})` : `${value}`);
+
+/**
+ * Renders extendedEuclideanWithSteps(φ(n), e): the division table top-down,
+ * then back-substitution bottom-up until 1 = φ(n)·x + e·y, so d = y mod φ(n).
+ */
+function ExtendedEuclideanTable({ gcd: g, y, rows }) {
+  const [{ dividend: phi, divisor: e }] = rows;
+  const d = ((y % phi) + phi) % phi;
+  // Back-substitution starts from the last division with a non-zero remainder
+  const substitutions = rows.slice(0, -1).reverse().map((row, i, reversed) => {
+    const below = i === 0 ? { x: 0n, y: 1n } : reversed[i - 1];
+    return [
+      `${g} = ${row.divisor}·${formatCoefficient(below.x)} + ${row.remainder}·${formatCoefficient(below.y)}`,
+      `  = ${row.divisor}·${formatCoefficient(below.x)} + (${row.dividend} - ${row.quotient}·${row.divisor})·${formatCoefficient(below.y)}`,
+      `  = ${row.dividend}·${formatCoefficient(row.x)} + ${row.divisor}·${formatCoefficient(row.y)}`,
+    ];
+  });
+
+  return (
+    <div className="p-6 border-t border-gray-700 flex flex-col gap-4">
+      <div>
+        <h3 className="text-lg font-semibold text-cyan-400">Extended Euclidean Algorithm: d = e⁻¹ mod φ(n)</h3>
+        <p className="text-sm text-gray-400 mt-1">
+          Divide until the remainder is 0; the last non-zero remainder is gcd(φ(n), e) = {g.toString()}.
+          Then substitute each remainder back, bottom row first, until {g.toString()} is written as φ(n)·x + e·y.
+        </p>
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto rounded-lg border border-gray-700">
+        <table className="w-full text-sm font-mono">
+          <thead className="bg-gray-900 text-gray-400 sticky top-0">
+            <tr>
+              <th className="p-2 text-left">#</th>
+              <th className="p-2 text-left">Division</th>
+              <th className="p-2 text-right">q</th>
+              <th className="p-2 text-right">r</th>
+              <th className="p-2 text-right">x</th>
+              <th className="p-2 text-right">y</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i} className="border-t border-gray-800">
+                <td className="p-2 text-gray-500">{i + 1}</td>
+                <td className="p-2 text-gray-200 break-all">{`${row.dividend} = ${row.quotient}·${row.divisor} + ${row.remainder}`}</td>
+                <td className="p-2 text-right text-cyan-300">{row.quotient.toString()}</td>
+                <td className="p-2 text-right text-cyan-300">{row.remainder.toString()}</td>
+                <td className="p-2 text-right text-purple-300">{row.x.toString()}</td>
+                <td className="p-2 text-right text-purple-300">{row.y.toString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">Each row's x and y satisfy dividend·x + divisor·y = {g.toString()}; they are filled in by the back-substitution.</p>
+
+      <div className="flex flex-col gap-2">
+        <h4 className="text-sm font-medium text-gray-400">Back-Substitution</h4>
+        <pre className="p-3 bg-gray-900 rounded-lg border border-gray-700 text-sm text-cyan-300 overflow-x-auto max-h-96 overflow-y-auto">
+          {substitutions.map((lines) => lines.join('\n')).join('\n\n')}
+        </pre>
+        <p className="font-mono text-sm text-gray-200">
+          {g === 1n
+            ? `φ(n)·x + e·y = ${phi}·${formatCoefficient(rows[0].x)} + ${e}·${formatCoefficient(y)} = 1, so e·y ≡ 1 (mod φ(n)) and d = y mod φ(n) = ${d}`
+            : `gcd(φ(n), e) = ${g} ≠ 1, so e has no inverse mod φ(n).`}
+        </p>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Encryption Visualizer Component
  */
 function EncryptionVisualizer({
   n, e,
   plaintext, setPlaintext,
+  padding, setPadding,
   messageInt, ciphertext,
   encryptionSteps,
+  playback,
   handleEncrypt,
   resetEncryption
 }) {
@@ -549,6 +1516,13 @@ function EncryptionVisualizer({
               <MessageSquare className="absolute right-3 top-1/2 -translate-y-1/2 w-5 h-5" />
             </div>
           </div>
+
+          <SelectBox
+            label="Padding"
+            value={padding}
+            onChange={setPadding}
+            options={PADDING_MODES}
+          />
           
           <Button
             onClick={handleEncrypt}
@@ -580,24 +1554,8 @@ function EncryptionVisualizer({
       {/* --- STEP-BY-STEP VISUALIZER --- */}
       {encryptionSteps.length > 0 && (
         <div className="p-6 border-t border-gray-700">
-          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Encryption Steps</h3>
-          <div className="flex flex-col gap-2">
-            {encryptionSteps.map((step, index) => (
-              <div
-                key={index}
-                className="p-3 rounded-lg border border-gray-700 bg-gray-800/50"
-              >
-                <span className="font-semibold text-gray-200">{step.title}: </span>
-                <span className="font-mono text-cyan-300">{step.value}</span>
-                {/* Special rendering for the detailed modPow log */}
-                {step.stepsLog && (
-                  <pre className="mt-3 p-3 bg-gray-900 rounded-md text-xs text-gray-400 overflow-x-auto font-mono">
-                    {step.stepsLog.join('\n')}
-                  </pre>
-                )}
-              </div>
-            ))}
-          </div>
+          <StepsHeader title="Encryption Steps" playback={playback} />
+          <StepList steps={encryptionSteps} currentStep={playback.step} />
         </div>
       )}
     </Card>
@@ -613,7 +1571,12 @@ function DecryptionVisualizer({
   decryptedMessageInt,
   decryptedPlaintext,
   decryptionSteps,
-  handleDecrypt
+  crtDecryptionSteps,
+  decryptionComparison,
+  method, setMethod,
+  playback,
+  handleDecrypt,
+  onMeasureTiming
 }) {
 
   return (
@@ -664,23 +1627,31 @@ function DecryptionVisualizer({
       {/* --- STEP-BY-STEP VISUALIZER --- */}
       {decryptionSteps.length > 0 && (
         <div className="p-6 border-t border-gray-700">
-          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Decryption Steps</h3>
-          <div className="flex flex-col gap-2">
-            {decryptionSteps.map((step, index) => (
-              <div
-                key={index}
-                className="p-3 rounded-lg border border-gray-700 bg-gray-800/50"
-              >
-                <span className="font-semibold text-gray-200">{step.title}: </span>
-                <span className="font-mono text-cyan-300">{step.value}</span>
-                {step.stepsLog && (
-                  <pre className="mt-3 p-3 bg-gray-900 rounded-md text-xs text-gray-400 overflow-x-auto font-mono">
-                    {step.stepsLog.join('\n')}
-                  </pre>
-                )}
-              </div>
-            ))}
-          </div>
+          <StepsHeader title="Decryption Steps" playback={playback} />
+          {crtDecryptionSteps.length > 0 && (
+            <div className="flex border-b border-gray-700 mb-4">
+              <TabButton
+                label="Direct (Cᵈ mod n)"
+                icon={<Unlock className="w-5 h-5" />}
+                isActive={method === 'direct'}
+                onClick={() => setMethod('direct')}
+              />
+              <TabButton
+                label="Chinese Remainder Theorem"
+                icon={<Zap className="w-5 h-5" />}
+                isActive={method === 'crt'}
+                onClick={() => setMethod('crt')}
+              />
+            </div>
+          )}
+          {method === 'crt' && crtDecryptionSteps.length > 0 ? (
+            <>
+              <StepList steps={crtDecryptionSteps} currentStep={playback.step} />
+              {decryptionComparison && <CostComparison comparison={decryptionComparison} onMeasure={onMeasureTiming} />}
+            </>
+          ) : (
+            <StepList steps={decryptionSteps} currentStep={playback.step} />
+          )}
         </div>
       )}
     </Card>
@@ -688,424 +1659,1920 @@ function DecryptionVisualizer({
 }
 
 
-// --- Encryptor/Decryptor Component (REPLACING PLACEHOLDER) ---
-function EncryptorDecryptor() {
-  const [n, setN] = useState(null);
-  const [e, setE] = useState(null);
-  const [d, setD] = useState(null);
-  const [isGenerating, setIsGenerating] = useState(false);
-  const [activeTab, setActiveTab] = useState('encrypt'); // 'encrypt' or 'decrypt'
-  
-  // Encrypt tab state
-  const [encryptInput, setEncryptInput] = useState('');
-  const [encryptOutput, setEncryptOutput] = useState('');
-  
-  // Decrypt tab state
-  const [decryptInput, setDecryptInput] = useState('');
-  const [decryptOutput, setDecryptOutput] = useState('');
-  const [decryptError, setDecryptError] = useState('');
+// --- Worked Example Export ---
 
-  const handleGenerateKeys = () => {
-    setIsGenerating(true);
-    // Use slightly larger primes for this mode
-    // We do this in a timeout to allow the UI to update
-    setTimeout(() => {
-      const pVal = BigInt(generateRandomPrime(100, 250));
-      let qVal = BigInt(generateRandomPrime(100, 250));
-      while (pVal === qVal) {
-        qVal = BigInt(generateRandomPrime(100, 250));
-      }
-      
-      const nCalc = pVal * qVal;
-      const phiCalc = (pVal - 1n) * (qVal - 1n);
-      
-      // Use a common e=65537
-      const eVal = 65537n;
-      setE(eVal);
-      
-      const dCalc = modInverse(eVal, phiCalc);
-      setD(dCalc);
-      setN(nCalc);
-      
-      // Reset inputs/outputs
-      setEncryptInput('');
-      setEncryptOutput('');
-      setDecryptInput('');
-      setDecryptOutput('');
-      setDecryptError('');
-      
-      setIsGenerating(false);
-    }, 50); // 50ms timeout
-  };
-  
-  const handleEncrypt = () => {
-    if (!encryptInput || !n || !e) return;
-    
-    const mVal = textToBigInt(encryptInput);
-    if (mVal >= n) {
-      setEncryptOutput("Error: Message is too long for the generated key size. Try a shorter message or re-generate keys.");
-      return;
-    }
-    
-    const cVal = modPow(mVal, e, n);
-    setEncryptOutput(cVal.toString());
+const WORKED_EXAMPLE_EXPORTS = [
+  { id: 'md', label: 'Markdown', icon: <FileText className="w-4 h-4" />, type: 'text/markdown', render: workedExampleToMarkdown },
+  { id: 'json', label: 'JSON', icon: <FileJson className="w-4 h-4" />, type: 'application/json', render: (example) => JSON.stringify(example, null, 2) },
+  { id: 'html', label: 'Printable HTML', icon: <Printer className="w-4 h-4" />, type: 'text/html', render: workedExampleToHtml },
+];
+
+/**
+ * Downloads the key generation, encryption and decryption steps as one document (Markdown
+ * worksheet, JSON session or print-styled HTML), and loads an exported JSON session back.
+ */
+function WorkedExampleCard({ onBuild, onImport }) {
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleExport = ({ id, type, render }) => {
+    downloadFile(`rsa-worked-example.${id}`, render(onBuild()), type);
   };
-  
-  const handleDecrypt = () => {
-    if (!decryptInput || !n || !d) return;
-    
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-selecting the same file
+    if (!file) return;
+    setFileName(file.name);
     try {
-      const cVal = BigInt(decryptInput);
-      if (cVal >= n) {
-        setDecryptError("Ciphertext number is larger than n. This key pair cannot decrypt it.");
-        setDecryptOutput('');
-        return;
-      }
-      
-      const mVal = modPow(cVal, d, n);
-      const mText = bigIntToText(mVal);
-      setDecryptOutput(mText);
-      setDecryptError('');
-      
+      await onImport(parseWorkedExample(await file.text()));
+      setError('');
     } catch (err) {
-      setDecryptError("Invalid input. Please paste the exact ciphertext number.");
-      setDecryptOutput('');
+      setError(err.message);
     }
   };
-  
-  const isKeyReady = n && e && d;
 
   return (
     <Card>
       <CardHeader
-        icon={<Lock className="w-6 h-6" />}
-        title="Encrypt/Decrypt Mode"
-        subtitle="Generate a key pair and securely encrypt/decrypt messages."
+        icon={<Download className="w-6 h-6" />}
+        title="Worked Example"
+        subtitle="Export every step as a handout or answer key, or load an exported JSON session."
       />
-      <div className="p-6">
-        <div className="flex flex-col md:flex-row gap-6">
-          {/* --- Key Generation & Display --- */}
-          <div className="flex-1 flex flex-col gap-4 p-4 bg-gray-900 rounded-lg border border-gray-700">
-            <h3 className="text-lg font-semibold text-cyan-400">Your Key Pair</h3>
-            <Button
-              onClick={handleGenerateKeys}
-              disabled={isGenerating}
-              className="w-full"
-            >
-              {isGenerating ? (
-                <RefreshCw className="w-5 h-5 animate-spin" />
-              ) : (
-                <Zap className="w-5 h-5" />
-              )}
-              {isGenerating ? 'Generating...' : 'Generate 16-bit Key Pair'}
+      <div className="p-6 flex flex-col gap-3">
+        <div className="flex flex-col md:flex-row gap-2">
+          {WORKED_EXAMPLE_EXPORTS.map((format) => (
+            <Button key={format.id} onClick={() => handleExport(format)} disabled={!onBuild} className="flex-1 text-sm p-2">
+              {format.icon} {format.label}
             </Button>
-            
-            <AnimatePresence>
-              {isKeyReady && (
-                <motion.div 
-                  className="flex flex-col gap-3"
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                >
-                  <KeyDisplayBox label="Public Key (n)" value={n} />
-                  <KeyDisplayBox label="Public Key (e)" value={e} />
-                  <KeyDisplayBox label="Private Key (d)" value={d} />
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </div>
-          
-          {/* --- Encrypt/Decrypt Tabs --- */}
-          <div className="flex-[2] flex flex-col">
-            <div className="flex border-b border-gray-700">
-              <TabButton
-                label="Encrypt"
-                icon={<Lock className="w-5 h-5" />}
-                isActive={activeTab === 'encrypt'}
-                onClick={() => setActiveTab('encrypt')}
-              />
-              <TabButton
-                label="Decrypt"
-                icon={<Unlock className="w-5 h-5" />}
-                isActive={activeTab === 'decrypt'}
-                onClick={() => setActiveTab('decrypt')}
-              />
-            </div>
-            
-            <div className="pt-6">
-              <AnimatePresence mode="wait">
-                {activeTab === 'encrypt' && (
-                  <motion.div
-                    key="encrypt-tab"
-                    initial={{ opacity: 0, x: -10 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    exit={{ opacity: 0, x: 10 }}
-                    transition={{ duration: 0.2 }}
-                  >
-                    <h3 className="text-lg font-semibold mb-2">Encrypt Message</h3>
-                    <p className="text-sm text-gray-400 mb-4">Uses the Public Key (e, n)</p>
-                    <TextArea
-                      label="Plaintext to Encrypt"
-                      value={encryptInput}
-                      onChange={setEncryptInput}
-                      placeholder="Enter your secret message..."
-                    />
-                    <Button onClick={handleEncrypt} disabled={!isKeyReady || !encryptInput} className="mt-4">
-                      <Lock className="w-5 h-5" /> Encrypt
-                    </Button>
-                    <TextArea
-                      label="Encrypted Ciphertext (Copy this)"
-                      value={encryptOutput}
-                      readOnly
-                      placeholder="Your encrypted number will appear here..."
-                      className="mt-4"
-                    />
-                  </motion.div>
-                )}
-                
-                {activeTab === 'decrypt' && (
-                  <motion.div
-                    key="decrypt-tab"
-                    initial={{ opacity: 0, x: -10 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    exit={{ opacity: 0, x: 10 }}
-                    transition={{ duration: 0.2 }}
-                  >
-                    <h3 className="text-lg font-semibold mb-2">Decrypt Message</h3>
-                    <p className="text-sm text-gray-400 mb-4">Uses the Private Key (d, n)</p>
-                    <TextArea
-                      label="Ciphertext to Decrypt"
-                      value={decryptInput}
-                      onChange={setDecryptInput}
-                      placeholder="Paste your encrypted number here..."
-                      error={decryptError}
-                    />
-                    <Button onClick={handleDecrypt} disabled={!isKeyReady || !decryptInput} className="mt-4">
-                      <Unlock className="w-5 h-5" /> Decrypt
-                    </Button>
-                    <TextArea
-                      label="Decrypted Plaintext"
-                      value={decryptOutput}
-                      readOnly
-                      placeholder="Your original message will appear here..."
-                      className="mt-4"
-                    />
-                  </motion.div>
-                )}
-              </AnimatePresence>
-            </div>
-          </div>
+          ))}
+          <label className="flex-1 flex items-center justify-center gap-2 text-sm p-2 font-semibold text-white bg-gray-700 rounded-lg cursor-pointer hover:bg-gray-600">
+            <FileUp className="w-4 h-4" /> Load JSON
+            <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+          </label>
         </div>
+        {!onBuild && <p className="text-xs text-gray-500">Generate keys in step 1 to export them; encryption and decryption are included once run.</p>}
+        {fileName && <p className="text-xs text-gray-400">File: {fileName}</p>}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        <p className="text-xs text-gray-500">
+          Loading a JSON session recalculates every step from its p, q, e and message. With padding the random bytes, and so the ciphertext, will differ.
+        </p>
       </div>
     </Card>
   );
 }
 
 
-// --- Reusable UI Components (ValueBox updated, others unchanged) ---
+// --- Attack Cards ---
 
-function Card({ children }) {
-  return (
-    <div className="bg-gray-800/50 backdrop-blur-sm border border-gray-700/50 rounded-xl shadow-2xl overflow-hidden">
-      {children}
-    </div>
-  );
+/**
+ * Decrypts the visualizer's ciphertext (one value or a list of blocks) with a
+ * recovered private exponent, removing the padding if one is selected.
+ * @returns {Promise<{value: bigint|Array<bigint>, text: string}>}
+ * @throws {Error} If the padding check fails.
+ */
+async function decryptWithRecoveredKey(ciphertext, d, n, padding) {
+  const cipherBlocks = Array.isArray(ciphertext) ? ciphertext : [ciphertext];
+  const values = cipherBlocks.map((block) => modPow(block, d, n));
+  const value = Array.isArray(ciphertext) ? values : values[0];
+
+  if (padding !== 'none') {
+    const messageChunks = [];
+    for (const mVal of values) {
+      const { message } = await decodePaddedBlock(padding, bigIntToBytes(mVal, getByteLength(n)));
+      messageChunks.push(message);
+    }
+    return { value, text: new TextDecoder().decode(concatBytes(messageChunks)) };
+  }
+  return { value, text: Array.isArray(ciphertext) ? blocksToText(values, getBlockSize(n)) : bigIntToText(value) };
 }
 
-function CardHeader({ icon, title, subtitle }) {
-  return (
-    <div className="flex items-center gap-4 p-5 bg-gray-900/50 border-b border-gray-700">
-      <div className="flex-shrink-0 p-3 bg-gray-800 rounded-lg border border-gray-700 text-cyan-400">
-        {icon}
-      </div>
-      <div>
-        <h2 className="text-xl font-bold text-white">{title}</h2>
-        <p className="text-sm text-gray-400">{subtitle}</p>
-      </div>
+const FACTORING_METHODS = [
+  { id: 'trial', label: 'Trial division', note: 'Divides by 2, 3, 5, ... up to √n; work grows with the smallest factor.' },
+  { id: 'fermat', label: "Fermat's method", note: 'Writes n = a² − b²; instant when p and q are close together.' },
+  { id: 'rho', label: "Pollard's rho (Brent)", note: 'Random walk x → x² + c mod n; about √p steps until a collision mod p.' },
+];
+
+/**
+ * Attack: factors the public n with three classic methods, then rebuilds
+ * φ(n) and d from the factor and decrypts the current ciphertext.
+ */
+function FactoringAttack({ n, e, ciphertext, padding }) {
+  const [results, setResults] = useState(null); // { [methodId]: { factor, iterations, steps, ms } }
+  const [activeMethod, setActiveMethod] = useState(FACTORING_METHODS[0].id);
+  const [recoverySteps, setRecoverySteps] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [runningMethod, setRunningMethod] = useState(null); // The method the worker is on
+  const [error, setError] = useState('');
+  const cancelRef = useRef(null);
+
+  // Stop the worker when the card unmounts
+  useEffect(() => () => {
+    if (cancelRef.current) cancelRef.current();
+  }, []);
+
+  const handleCancel = () => {
+    if (cancelRef.current) cancelRef.current();
+    cancelRef.current = null;
+    setIsRunning(false);
+  };
+
+  // The methods run in a worker: on a large n each one spins through its full iteration limit
+  const handleAttack = () => {
+    handleCancel();
+    setIsRunning(true);
+    setRunningMethod(null);
+    setRecoverySteps([]);
+    setError('');
+    cancelRef.current = startFactoring(n, {
+      onProgress: ({ method }) => setRunningMethod(method),
+      onDone: (runs) => {
+        cancelRef.current = null;
+        setIsRunning(false);
+        setResults(runs);
+        recoverKey(runs);
+      },
+      onError: (message) => {
+        cancelRef.current = null;
+        setIsRunning(false);
+        setError(message);
+      },
+    });
+  };
+
+  // Rebuilds φ(n) and d from the first factor found and decrypts the current ciphertext
+  const recoverKey = async (runs) => {
+    const winner = FACTORING_METHODS.find(({ id }) => runs[id].factor !== null);
+    if (!winner) {
+      setRecoverySteps([
+        { title: 'Attack Failed', value: `No method found a factor within ${FACTORING_MAX_ITERATIONS.toLocaleString()} iterations.` },
+        { title: 'Why', value: `n has ${bitLength(n)} bits. With primes of ~${Math.ceil(bitLength(n) / 2)} bits, even Pollard's rho needs about 2^${Math.ceil(bitLength(n) / 4)} steps. This is why real keys use 1024-bit or larger primes.` },
+      ]);
+      return;
+    }
+
+    const pVal = runs[winner.id].factor;
+    const qVal = n / pVal;
+    const eVal = BigInt(e);
+    const phiVal = (pVal - 1n) * (qVal - 1n);
+    const dVal = modInverse(eVal, phiVal);
+    const steps = [
+      { title: 'Factor Found', value: `${winner.label}: n = ${pVal} × ${qVal}` },
+      { title: 'Recover φ(n)', value: `φ(n) = (p-1) * (q-1) = ${pVal - 1n} * ${qVal - 1n} = ${phiVal}` },
+      dVal === null
+        ? { title: 'Recover d', value: `e = ${eVal} has no inverse mod φ(n): gcd(e, φ(n)) = ${gcd(eVal, phiVal)}` }
+        : { title: 'Recover d', value: `d = e⁻¹ mod φ(n) = ${eVal}⁻¹ mod ${phiVal} = ${dVal}` },
+    ];
+
+    if (dVal !== null && ciphertext !== null) {
+      try {
+        const { value, text } = await decryptWithRecoveredKey(ciphertext, dVal, n, padding);
+        steps.push(
+          { title: 'Decrypt the Intercepted Ciphertext', value: `M' = Cᵈ mod n = ${formatValue(value)}` },
+          { title: 'Recovered Plaintext', value: `"${text}"` },
+        );
+      } catch (err) {
+        steps.push({ title: 'Error', value: err.message });
+      }
+    } else if (dVal !== null) {
+      steps.push({ title: 'Decrypt', value: 'Encrypt a message in step 2 to see the attacker read it.' });
+    }
+    setRecoverySteps(steps);
+  };
+
+  const active = results && results[activeMethod];
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Swords className="w-6 h-6" />}
+        title="4. Attack: Factor n"
+        subtitle="An attacker only sees the public key (n, e). If n can be factored, the private key follows."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <ValueBox label="Public Modulus n" value={n} formula={`${bitLength(n)} bits`} />
+          <ValueBox label="Intercepted Ciphertext (C)" value={ciphertext ?? '...'} formula="From step 2" />
+          <Button onClick={handleAttack} disabled={isRunning} className="w-full">
+            {isRunning ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Swords className="w-5 h-5" />}
+            {isRunning
+              ? `Factoring...${runningMethod ? ` (${FACTORING_METHODS.find(({ id }) => id === runningMethod).label})` : ''}`
+              : 'Factor n'}
+          </Button>
+          {isRunning && (
+            <button onClick={handleCancel} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-red-400">
+              <X className="w-4 h-4" /> Cancel
+            </button>
+          )}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+        </div>
+
+        <div className="p-4 bg-gray-900 rounded-lg border border-gray-700">
+          <table className="w-full text-sm font-mono">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="py-1 font-medium">Method</th>
+                <th className="py-1 font-medium">Iterations</th>
+                <th className="py-1 font-medium">Time</th>
+                <th className="py-1 font-medium">Factor</th>
+              </tr>
+            </thead>
+            <tbody>
+              {FACTORING_METHODS.map(({ id, label }) => (
+                <tr key={id} className="border-t border-gray-800">
+                  <td className="py-1 text-gray-400">{label}</td>
+                  <td className="py-1 text-cyan-300">{results ? results[id].iterations.toLocaleString() : '...'}</td>
+                  <td className="py-1 text-cyan-300">{results ? `${results[id].ms.toFixed(1)} ms` : '...'}</td>
+                  <td className={cn("py-1 break-all", results && results[id].factor === null ? "text-red-400" : "text-green-400")}>
+                    {results ? (results[id].factor ?? 'not found') : '...'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Each method stops after {FACTORING_MAX_ITERATIONS.toLocaleString()} iterations.
+          </p>
+        </div>
+      </div>
+
+      {results && (
+        <div className="p-6 border-t border-gray-700">
+          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Attack Steps</h3>
+          {/* Own layout group so the tab indicator doesn't jump to other cards' tabs */}
+          <LayoutGroup id="factoring-methods">
+            <div className="flex border-b border-gray-700 mb-4">
+              {FACTORING_METHODS.map(({ id, label }) => (
+                <TabButton
+                  key={id}
+                  label={label}
+                  icon={results[id].factor !== null ? <Check className="w-5 h-5" /> : <X className="w-5 h-5" />}
+                  isActive={activeMethod === id}
+                  onClick={() => setActiveMethod(id)}
+                />
+              ))}
+            </div>
+          </LayoutGroup>
+          <StepList steps={[{
+            title: FACTORING_METHODS.find(({ id }) => id === activeMethod).note,
+            value: `${active.iterations.toLocaleString()} iterations in ${active.ms.toFixed(1)} ms`,
+            stepsLog: active.steps,
+          }, ...recoverySteps]} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+const WIENER_STATUS_TONES = {
+  skip: 'text-gray-500',
+  fail: 'text-red-400',
+  success: 'text-green-400',
+};
+
+/**
+ * Attack: Wiener's continued-fraction attack on a small private exponent.
+ * The convergent table is revealed one row at a time.
+ */
+function WienerAttack({ n, e, ciphertext, padding }) {
+  const [attack, setAttack] = useState(null); // result of wienerAttack
+  const [revealed, setRevealed] = useState(0); // Convergent rows shown so far
+  const [recoverySteps, setRecoverySteps] = useState([]);
+
+  const handleAttack = async () => {
+    const result = wienerAttack(BigInt(e), n);
+    setAttack(result);
+    setRevealed(1);
+
+    if (!result.key) {
+      setRecoverySteps([
+        { title: 'Attack Failed', value: 'No convergent of e/n yields p and q, so d is not below n^(1/4) / 3.' },
+        { title: 'Info', value: 'Use "Generate a key with a dangerously small d" in step 1 to see the attack succeed.' },
+      ]);
+      return;
+    }
+
+    const { d, p, q, phi } = result.key;
+    const steps = [
+      { title: 'Recovered Key', value: `d = ${d}, φ(n) = ${phi}, p = ${p}, q = ${q}` },
+      { title: 'Check', value: `e · d mod φ(n) = ${(BigInt(e) * d) % phi}, p · q = n` },
+    ];
+    if (ciphertext !== null) {
+      try {
+        const { value, text } = await decryptWithRecoveredKey(ciphertext, d, n, padding);
+        steps.push(
+          { title: 'Decrypt the Intercepted Ciphertext', value: `M' = Cᵈ mod n = ${formatValue(value)}` },
+          { title: 'Recovered Plaintext', value: `"${text}"` },
+        );
+      } catch (err) {
+        steps.push({ title: 'Error', value: err.message });
+      }
+    }
+    setRecoverySteps(steps);
+  };
+
+  const isComplete = attack && revealed >= attack.rows.length;
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Bug className="w-6 h-6" />}
+        title="5. Attack: Wiener's Small d"
+        subtitle="If d < n^(1/4) / 3, the fraction k/d hides among the convergents of e/n."
+      />
+      <div className="p-6 flex flex-col gap-4">
+        <p className="text-sm text-gray-400">
+          From e·d = 1 + k·φ(n) and φ(n) ≈ n we get e/n ≈ k/d. Expanding e/n as a continued fraction
+          gives candidate fractions k/d; each one predicts φ = (e·d − 1)/k, and the right one makes
+          x² − (n − φ + 1)x + n = 0 factor into (x − p)(x − q).
+        </p>
+        <div className="flex gap-2">
+          <Button onClick={handleAttack} className="flex-1">
+            <Bug className="w-5 h-5" /> Expand e/n
+          </Button>
+          <Button onClick={() => setRevealed(revealed + 1)} disabled={!attack || isComplete} className="flex-1">
+            <StepForward className="w-5 h-5" /> Next Convergent
+          </Button>
+          <Button onClick={() => setRevealed(attack.rows.length)} disabled={!attack || isComplete} className="flex-1">
+            Show All
+          </Button>
+        </div>
+
+        {attack && (
+          <>
+            <ValueBox label="Continued Fraction of e/n" value={`[${attack.quotients.join('; ')}]`} />
+            <div className="p-4 bg-gray-900 rounded-lg border border-gray-700 overflow-x-auto">
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-1 pr-2 font-medium">i</th>
+                    <th className="py-1 pr-2 font-medium">aᵢ</th>
+                    <th className="py-1 pr-2 font-medium">k / d</th>
+                    <th className="py-1 pr-2 font-medium">φ = (e·d − 1) / k</th>
+                    <th className="py-1 pr-2 font-medium">p + q = n − φ + 1</th>
+                    <th className="py-1 pr-2 font-medium">(p − q)² = (p + q)² − 4n</th>
+                    <th className="py-1 font-medium">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attack.rows.slice(0, revealed).map((row) => (
+                    <tr key={row.index} className={cn("border-t border-gray-800", row.status === 'success' && "bg-green-900/20")}>
+                      <td className="py-1 pr-2 text-gray-400">{row.index}</td>
+                      <td className="py-1 pr-2 text-cyan-300">{row.quotient.toString()}</td>
+                      <td className="py-1 pr-2 text-cyan-300">{`${row.k} / ${row.d}`}</td>
+                      <td className="py-1 pr-2 text-cyan-300 break-all">{row.phi?.toString() ?? '-'}</td>
+                      <td className="py-1 pr-2 text-cyan-300 break-all">{row.sum?.toString() ?? '-'}</td>
+                      <td className="py-1 pr-2 text-cyan-300 break-all">{row.discriminant?.toString() ?? '-'}</td>
+                      <td className={cn("py-1", WIENER_STATUS_TONES[row.status])}>{row.note}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+        {isComplete && <StepList steps={recoverySteps} />}
+      </div>
+    </Card>
+  );
+}
+
+// Smallest odd exponent ≥ 3 that differs from e1 and is coprime to e1 and φ(n) (when known)
+function pickSecondExponent(e1, phi) {
+  for (let candidate = 3n; ; candidate += 2n) {
+    if (candidate !== e1 && gcd(candidate, e1) === 1n && (!phi || gcd(candidate, phi) === 1n)) return candidate;
+  }
+}
+
+/**
+ * Attack: two users share n with coprime exponents e1 and e2. The same message
+ * sent to both is recovered from the two ciphertexts via Bezout coefficients.
+ */
+function CommonModulusAttack({ n, phi, e, plaintext }) {
+  const [e2, setE2] = useState(() => {
+    const e1Val = parseBigInt(e);
+    return e1Val > 1n ? pickSecondExponent(e1Val, phi).toString() : '';
+  });
+  const [e2Error, setE2Error] = useState(null);
+  const [steps, setSteps] = useState([]);
+
+  const handleAttack = () => {
+    const e1Val = parseBigInt(e);
+    const e2Val = parseBigInt(e2);
+    if (e1Val === null || e1Val <= 1n) { setE2Error('e1 from step 1 must be an integer greater than 1.'); return; }
+    if (e2Val === null || e2Val <= 1n) { setE2Error('e2 must be an integer greater than 1.'); return; }
+    if (gcd(e1Val, e2Val) !== 1n) { setE2Error(`e2 must be coprime with e1: gcd(${e1Val}, ${e2Val}) = ${gcd(e1Val, e2Val)}.`); return; }
+    if (phi && gcd(e2Val, phi) !== 1n) { setE2Error('e2 must be coprime with φ(n) to be a valid public exponent.'); return; }
+    setE2Error(null);
+
+    const mVal = textToBigInt(plaintext);
+    if (mVal >= n) {
+      setSteps([{ title: 'Error', value: `M = ${mVal} ≥ n. Use a shorter message or larger primes so M fits in one block.` }]);
+      return;
+    }
+
+    const c1 = modPow(mVal, e1Val, n);
+    const c2 = modPow(mVal, e2Val, n);
+    const newSteps = [
+      { title: 'Setup', value: `Alice has (n, e1 = ${e1Val}), Bob has (n, e2 = ${e2Val}): the same n, different exponents.` },
+      { title: 'Intercepted Ciphertexts', value: `C1 = M^e1 mod n = ${c1}, C2 = M^e2 mod n = ${c2}` },
+    ];
+
+    try {
+      const { a, b, powers, message } = commonModulusAttack(c1, c2, e1Val, e2Val, n);
+      newSteps.push({ title: 'Bezout Coefficients', value: `extendedEuclidean(e1, e2): a = ${a}, b = ${b}, and a·e1 + b·e2 = ${a}·${e1Val} + ${b}·${e2Val} = ${a * e1Val + b * e2Val}` });
+      for (const { label, base, exponent, inverse, value } of powers) {
+        newSteps.push(inverse === null
+          ? { title: `${label}^${exponent}`, value: `${label}^${exponent} mod n = ${base}^${exponent} mod ${n} = ${value}` }
+          : { title: `${label}^${exponent} (Negative Exponent)`, value: `${label}⁻¹ = modInverse(${base}, ${n}) = ${inverse}, so ${label}^${exponent} = (${label}⁻¹)^${-exponent} mod n = ${value}` });
+      }
+      newSteps.push(
+        { title: 'Multiply', value: `M = C1^a · C2^b mod n = ${powers[0].value} · ${powers[1].value} mod ${n} = ${message}` },
+        { title: 'Why It Works', value: `C1^a · C2^b = M^(a·e1) · M^(b·e2) = M^(a·e1 + b·e2) = M¹ (mod n). No private key or factoring needed.` },
+        { title: 'Recovered Plaintext', value: `${message} → "${bigIntToText(message)}"` },
+      );
+    } catch (err) {
+      newSteps.push({ title: 'Error', value: err.message });
+    }
+    setSteps(newSteps);
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Users className="w-6 h-6" />}
+        title="6. Attack: Common Modulus"
+        subtitle="Two users share n but use different e. One message sent to both leaks without any private key."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <ValueBox label="Shared Modulus n" value={n} formula="Same p and q as step 1" />
+          <ValueBox label="Alice's Exponent e1" value={e} formula="e from step 1" />
+          <InputBox label="Bob's Exponent e2" value={e2} onChange={setE2} error={e2Error} placeholder="Coprime with e1" />
+        </div>
+        <div className="flex flex-col gap-4">
+          <ValueBox label="Message (M)" value={plaintext ? `"${plaintext}"` : 'Enter a message in step 2'} formula="Plaintext from step 2" />
+          <Button onClick={handleAttack} disabled={!plaintext || !e2} className="w-full">
+            <Swords className="w-5 h-5" /> Encrypt to Both and Recover M
+          </Button>
+        </div>
+      </div>
+      {steps.length > 0 && (
+        <div className="p-6 border-t border-gray-700">
+          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Attack Steps</h3>
+          <StepList steps={steps} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Attack: textbook RSA is multiplicative. A decryption oracle refuses the
+ * protected C, but happily decrypts the blinded C' = C·s^e, from which M follows.
+ * With padding the oracle checks the decrypted block and the trick breaks.
+ */
+function MalleabilityAttack({ n, e, d, ciphertext, padding }) {
+  const [s, setS] = useState('2');
+  const [sError, setSError] = useState(null);
+  const [steps, setSteps] = useState([]);
+
+  const handleRandomS = () => {
+    let sVal;
+    do {
+      sVal = randomBigIntInRange(2n, n - 1n);
+    } while (gcd(sVal, n) !== 1n);
+    setS(sVal.toString());
+    setSError(null);
+  };
+
+  const handleAttack = async () => {
+    const sVal = parseBigInt(s);
+    if (sVal === null || sVal < 2n || sVal >= n) { setSError(`s must be an integer between 2 and n − 1.`); return; }
+    if (gcd(sVal, n) !== 1n) { setSError(`s must be coprime with n (gcd = ${gcd(sVal, n)}).`); return; }
+    setSError(null);
+
+    const eVal = BigInt(e);
+    const rawOracle = createDecryptionOracle(d, n, ciphertext);
+    // The simulated server: decrypts, then (if padding is on) rejects blocks with bad padding
+    const oracle = async (c) => {
+      const mVal = rawOracle(c);
+      if (padding !== 'none') await decodePaddedBlock(padding, bigIntToBytes(mVal, getByteLength(n)));
+      return mVal;
+    };
+
+    const newSteps = [{ title: 'The Oracle', value: `A server holding d decrypts any ciphertext for you, except the protected C = ${ciphertext}` }];
+    try {
+      await oracle(ciphertext);
+    } catch (err) {
+      newSteps.push({ title: 'Ask for C Directly', value: err.message });
+    }
+
+    const { sPow, blinded } = blindCiphertext(ciphertext, sVal, eVal, n);
+    newSteps.push({ title: 'Blind the Ciphertext', value: `C' = C · sᵉ mod n = ${ciphertext} · ${sPow} mod ${n} = ${blinded}` });
+
+    let blindedMessage;
+    try {
+      blindedMessage = await oracle(blinded);
+    } catch (err) {
+      newSteps.push(
+        { title: "Ask for C'", value: `Oracle refuses: ${err.message}` },
+        { title: 'Why Padding Helps', value: `C' decrypts to M·s mod n, which scrambles the ${PADDING_NAMES[padding]} structure. The server checks the padding and rejects it, so the multiplicative trick fails. (An oracle that reveals only valid/invalid padding is still dangerous: see Bleichenbacher's attack.)` },
+      );
+      setSteps(newSteps);
+      return;
+    }
+
+    const { sInverse, message } = unblindMessage(blindedMessage, sVal, n);
+    newSteps.push(
+      { title: "Ask for C'", value: `C' ≠ C, so the oracle answers M' = C'ᵈ mod n = ${blindedMessage}` },
+      { title: 'Unblind', value: `s⁻¹ mod n = ${sInverse}, M = M' · s⁻¹ mod n = ${blindedMessage} · ${sInverse} mod ${n} = ${message}` },
+      { title: 'Why It Works', value: `(M · s)ᵉ = Mᵉ · sᵉ = C · sᵉ (mod n), so C' is a valid encryption of M · s. Textbook RSA lets anyone transform ciphertexts this way.` },
+    );
+    if (padding === 'none') {
+      newSteps.push({ title: 'Recovered Plaintext', value: `${message} → "${bigIntToText(message)}"` });
+    } else {
+      // The blinded block happened to have valid padding: strip it from the recovered one too
+      const { message: bytes } = await decodePaddedBlock(padding, bigIntToBytes(message, getByteLength(n)));
+      newSteps.push({ title: 'Recovered Plaintext', value: `"${new TextDecoder().decode(bytes)}"` });
+    }
+    setSteps(newSteps);
+  };
+
+  const isSingleBlock = !Array.isArray(ciphertext);
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Server className="w-6 h-6" />}
+        title="7. Attack: Malleability and a Decryption Oracle"
+        subtitle="Textbook RSA ciphertexts can be multiplied. A server that won't decrypt C will still decrypt C·sᵉ."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <ValueBox label="Protected Ciphertext (C)" value={ciphertext} formula="From step 2" />
+          <InputBox
+            label="Blinding Factor s"
+            value={s}
+            onChange={setS}
+            error={sError}
+            placeholder="e.g., 2"
+            icon={<Shuffle onClick={handleRandomS} className="cursor-pointer hover:text-cyan-400" />}
+          />
+        </div>
+        <div className="flex flex-col gap-4">
+          <p className="text-sm text-gray-400">
+            Padding: <span className="text-cyan-300">{padding === 'none' ? 'none (textbook RSA)' : PADDING_NAMES[padding]}</span>.
+            Switch it in step 2 to see the oracle reject the blinded ciphertext.
+          </p>
+          <Button onClick={handleAttack} disabled={!s || !isSingleBlock} className="w-full">
+            <Swords className="w-5 h-5" /> Blind, Query the Oracle, Unblind
+          </Button>
+          {!isSingleBlock && (
+            <p className="text-sm text-amber-400">This demo needs a single-block ciphertext. Encrypt a shorter message.</p>
+          )}
+        </div>
+      </div>
+      {steps.length > 0 && (
+        <div className="p-6 border-t border-gray-700">
+          <h3 className="text-lg font-semibold mb-4 text-cyan-400">Attack Steps</h3>
+          <StepList steps={steps} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Side-by-side operation count of direct vs CRT decryption, and their timing on request.
+ */
+function CostComparison({ comparison, onMeasure }) {
+  const [timing, setTiming] = useState(null); // { comparison, direct, crt }: ms, for the comparison it was measured on
+  const { direct, crt } = comparison;
+  const measured = timing?.comparison === comparison ? timing : null;
+  const estimatedSpeedup = direct.wordOps / crt.wordOps;
+  const measuredSpeedup = measured && measured.crt > 0 ? measured.direct / measured.crt : null;
+  const rows = [
+    { label: 'Operand size', direct: `${direct.bits} bits`, crt: `${crt.bits} bits` },
+    { label: 'Modular squarings', direct: direct.squarings, crt: crt.squarings },
+    { label: 'Modular multiplications', direct: direct.multiplications, crt: crt.multiplications },
+    { label: 'Estimated word operations', direct: direct.wordOps.toLocaleString(), crt: crt.wordOps.toLocaleString() },
+    ...(measured ? [{ label: 'Measured time (avg)', direct: `${measured.direct.toFixed(4)} ms`, crt: `${measured.crt.toFixed(4)} ms` }] : []),
+  ];
+
+  // Timing repeats both decryptions for a while, so it only runs when asked
+  const handleMeasure = () => setTiming({ comparison, ...onMeasure() });
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900 rounded-lg border border-gray-700">
+      <h4 className="text-sm font-semibold text-gray-300 mb-2">Direct vs CRT (first block)</h4>
+      <table className="w-full text-sm font-mono">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="py-1 font-medium"></th>
+            <th className="py-1 font-medium">Cᵈ mod n</th>
+            <th className="py-1 font-medium">CRT</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className="border-t border-gray-800">
+              <td className="py-1 text-gray-400">{row.label}</td>
+              <td className="py-1 text-cyan-300">{row.direct}</td>
+              <td className="py-1 text-cyan-300">{row.crt}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        CRT does about the same number of multiplications, but on numbers half the size.
+        Multiplication cost grows with the square of the size, so for this key the direct path
+        needs {estimatedSpeedup.toFixed(1)}× the word operations of CRT
+        {measuredSpeedup !== null && ` and measured ${measuredSpeedup.toFixed(1)}× its time`}.
+      </p>
+      <button onClick={handleMeasure} className="flex items-center gap-1 text-sm text-gray-400 hover:text-cyan-400 mt-2">
+        <Play className="w-4 h-4" /> {measured ? 'Measure Again' : 'Measure Time'}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Title row of a card's step list with its playback controls.
+ */
+function StepsHeader({ title, playback }) {
+  return (
+    <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+      <h3 className="text-lg font-semibold text-cyan-400">{title}</h3>
+      <PlaybackControls {...playback} />
+    </div>
+  );
+}
+
+/**
+ * Prev / Play-Pause / Next buttons and a speed picker for stepping through a card's steps.
+ * `step` is null while the walkthrough cursor is in another card.
+ */
+function PlaybackControls({ step, total, isPlaying, speed, notice, onPrev, onNext, onTogglePlay, onSpeedChange }) {
+  const buttonClass = "p-2 rounded-lg bg-gray-700 text-gray-200 hover:bg-gray-600 transition-colors";
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-mono text-gray-400 min-w-[4rem] text-right">
+          {step === null ? '–' : step + 1} / {total}
+        </span>
+        <button onClick={onPrev} className={buttonClass} title="Previous step (←)">
+          <StepBack className="w-4 h-4" />
+        </button>
+        <button onClick={onTogglePlay} className={cn(buttonClass, isPlaying && "bg-cyan-600 hover:bg-cyan-500")} title="Play / pause (Space)">
+          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <button onClick={onNext} className={buttonClass} title="Next step (→)">
+          <StepForward className="w-4 h-4" />
+        </button>
+        <select
+          value={speed}
+          onChange={(event) => onSpeedChange(Number(event.target.value))}
+          className="bg-gray-900 border border-gray-700 text-gray-200 text-sm rounded-lg p-1.5 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+          title="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map((value) => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+      </div>
+      {notice
+        ? <p className="text-xs text-amber-400">{notice}</p>
+        : <p className="text-xs text-gray-500">← → step, Space play/pause</p>}
     </div>
   );
 }
 
-function InputBox({ label, value, onChange, placeholder, error, icon }) {
+
+// --- Worker-backed Key Generation (shared by Encrypt/Decrypt and Sign/Verify) ---
+
+// Modulus sizes offered by the key-size selector (bits of n)
+const KEY_SIZES = [512, 1024, 2048, 3072, 4096];
+
+/**
+ * Runs key generation in a Web Worker and tracks the selected size,
+ * live progress and errors. The worker is stopped on unmount.
+ * Primes come from crypto.getRandomValues with their top bits set,
+ * so n has exactly keySize bits and gcd(e, p-1) = gcd(e, q-1) = 1.
+ */
+function useKeyGenerator(initialSize) {
+  const [keySize, setKeySize] = useState(initialSize);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const cancelRef = useRef(null);
+
+  // Stop any running worker when leaving this mode
+  useEffect(() => () => {
+    if (cancelRef.current) cancelRef.current();
+  }, []);
+
+  const generate = (onDone) => {
+    setIsGenerating(true);
+    setProgress(null);
+    setError('');
+    cancelRef.current = startKeyGeneration(keySize, {
+      // Use a common e=65537
+      e: 65537n,
+      onProgress: setProgress,
+      onDone: (key) => {
+        cancelRef.current = null;
+        setIsGenerating(false);
+        onDone(key);
+      },
+      onError: (message) => {
+        cancelRef.current = null;
+        setIsGenerating(false);
+        setError(message);
+      },
+    });
+  };
+
+  const cancel = () => {
+    if (cancelRef.current) cancelRef.current();
+    cancelRef.current = null;
+    setIsGenerating(false);
+    setProgress(null);
+  };
+
+  return { keySize, setKeySize, isGenerating, progress, error, generate, cancel };
+}
+
+/**
+ * Key-size selector, generate button with live progress, and Cancel.
+ */
+function KeyGenerationControls({ generator, onGenerate }) {
+  const { keySize, setKeySize, isGenerating, progress, error, cancel } = generator;
+
+  return (
+    <>
+      <SelectBox
+        label="Key Size (bits of n)"
+        value={keySize}
+        onChange={(val) => setKeySize(Number(val))}
+        options={KEY_SIZES.map((bits) => ({ value: bits, label: `${bits}-bit` }))}
+        disabled={isGenerating}
+      />
+      <Button
+        onClick={onGenerate}
+        disabled={isGenerating}
+        className="w-full"
+      >
+        {isGenerating ? (
+          <RefreshCw className="w-5 h-5 animate-spin" />
+        ) : (
+          <Zap className="w-5 h-5" />
+        )}
+        {isGenerating ? `Generating... ${describeKeyGenProgress(progress)}` : `Generate ${keySize}-bit Key Pair`}
+      </Button>
+      {isGenerating && (
+        <button onClick={cancel} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-red-400">
+          <X className="w-4 h-4" /> Cancel
+        </button>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </>
+  );
+}
+
+
+// --- Encryptor/Decryptor Component (REPLACING PLACEHOLDER) ---
+
+// The CRT part of a key, or null for a public key
+function crtKeyOf(key) {
+  return key?.p ? { p: key.p, q: key.q, dp: key.dp, dq: key.dq, qInv: key.qInv } : null;
+}
+
+function EncryptorDecryptor({ importedKey, onImportKey, session, onSessionChange }) {
+  // A linked key, or else a key imported in either mode, is loaded when this mode mounts
+  const [initialKey] = useState(session?.key ?? importedKey);
+  const [n, setN] = useState(initialKey?.n ?? null);
+  const [e, setE] = useState(initialKey?.e ?? null);
+  const [d, setD] = useState(initialKey?.d ?? null);
+  const [crtKey, setCrtKey] = useState(() => crtKeyOf(initialKey)); // { p, q, dp, dq, qInv }
+  const keyGenerator = useKeyGenerator(2048);
+  const [activeTab, setActiveTab] = useState('encrypt'); // 'encrypt' or 'decrypt'
+  const [padding, setPadding] = useState(session?.padding ?? 'none'); // 'none', 'pkcs1' or 'oaep'
+  
+  // Encrypt tab state
+  const [encryptInput, setEncryptInput] = useState('');
+  const [encryptOutput, setEncryptOutput] = useState('');
+  
+  // Decrypt tab state
+  const [decryptInput, setDecryptInput] = useState('');
+  const [decryptOutput, setDecryptOutput] = useState('');
+  const [decryptError, setDecryptError] = useState('');
+  // Put p and q in the permalink; a link only carries them if its sender opted in
+  const [includePrivateKey, setIncludePrivateKey] = useState(session?.key?.p !== undefined);
+
+  // Public keys have no d or primes; those fields stay empty
+  const applyKey = (key) => {
+    setE(key.e);
+    setD(key.d ?? null);
+    setN(key.n);
+    setCrtKey(crtKeyOf(key));
+    setIncludePrivateKey(false);
+
+    // Reset inputs/outputs
+    setEncryptInput('');
+    setEncryptOutput('');
+    setDecryptInput('');
+    setDecryptOutput('');
+    setDecryptError('');
+  };
+
+  const handleGenerateKeys = () => {
+    keyGenerator.generate(applyKey);
+  };
+
+  // An imported or saved key replaces the current one; App keeps it for the visualizer's next mount
+  const handleImportKey = (key) => {
+    keyGenerator.cancel();
+    applyKey(key);
+    onImportKey(key);
+  };
+
+  // The permalink holds the public key; p and q only with the user's opt-in. The message stays
+  // out of it, since the address bar ends up in browser (and synced) history.
+  useEffect(() => {
+    onSessionChange({
+      n,
+      e,
+      ...(includePrivateKey && crtKey ? { p: crtKey.p, q: crtKey.q } : {}),
+      padding: padding === 'none' ? null : padding,
+    });
+  }, [n, e, crtKey, includePrivateKey, padding, onSessionChange]);
+  
+  const handleEncrypt = async () => {
+    if (!encryptInput || !n || !e) return;
+
+    if (padding !== 'none') {
+      // Pad every chunk separately, one ciphertext per line
+      const k = getByteLength(n);
+      const blockSize = getBlockSize(n, padding);
+      if (blockSize < 1) {
+        setEncryptOutput(`Error: ${PADDING_NAMES[padding]} padding needs a larger key.`);
+        return;
+      }
+      const { blocks } = textToBlocks(encryptInput, n, blockSize);
+      const cipherBlocks = [];
+      for (const { bytes } of blocks) {
+        const { em } = await encodePaddedBlock(padding, bytes, k);
+        cipherBlocks.push(modPow(bytesToBigInt(em), e, n));
+      }
+      setEncryptOutput(cipherBlocks.join('\n'));
+      return;
+    }
+    
+    const mVal = textToBigInt(encryptInput);
+    if (mVal < n) {
+      const cVal = modPow(mVal, e, n);
+      setEncryptOutput(cVal.toString());
+      return;
+    }
+
+    // Too long for a single block: encrypt each chunk separately, one per line
+    const { blocks } = textToBlocks(encryptInput, n, getBlockSize(n), { padLastBlock: true });
+    const cipherBlocks = blocks.map((block) => modPow(block.value, e, n));
+    setEncryptOutput(cipherBlocks.join('\n'));
+  };
+  
+  const handleDecrypt = async () => {
+    if (!decryptInput || !n || !d) return;
+    
+    // Accept a single number or a list of block numbers (newline, comma or space separated)
+    const cipherBlocks = decryptInput.split(/[\s,[\]]+/).filter(Boolean).map(parseBigInt);
+    if (cipherBlocks.length === 0 || cipherBlocks.includes(null)) {
+      setDecryptError("Invalid input. Please paste the exact ciphertext number(s).");
+      setDecryptOutput('');
+      return;
+    }
+    if (cipherBlocks.some((cVal) => cVal >= n)) {
+      setDecryptError("Ciphertext number is larger than n. This key pair cannot decrypt it.");
+      setDecryptOutput('');
+      return;
+    }
+
+    // Decrypt with the CRT parameters like real implementations do (~4x faster than Cᵈ mod n)
+    const messageBlocks = cipherBlocks.map((cVal) => (crtKey ? crtDecrypt(cVal, crtKey) : modPow(cVal, d, n)));
+    if (padding !== 'none') {
+      try {
+        const k = getByteLength(n);
+        const messageChunks = [];
+        for (const mVal of messageBlocks) {
+          const { message } = await decodePaddedBlock(padding, bigIntToBytes(mVal, k));
+          messageChunks.push(message);
+        }
+        setDecryptOutput(new TextDecoder().decode(concatBytes(messageChunks)));
+        setDecryptError('');
+      } catch (err) {
+        setDecryptError(err.message);
+        setDecryptOutput('');
+      }
+      return;
+    }
+
+    // A single number is a whole message; block mode always produces at least two blocks
+    if (messageBlocks.length === 1) {
+      setDecryptOutput(bigIntToText(messageBlocks[0]));
+      setDecryptError('');
+      return;
+    }
+    try {
+      setDecryptOutput(blocksToText(messageBlocks, getBlockSize(n)));
+      setDecryptError('');
+    } catch (err) {
+      setDecryptError(err.message);
+      setDecryptOutput('');
+    }
+  };
+  
+  const isPublicKeyReady = n && e;
+  const isKeyReady = n && e && d;
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Lock className="w-6 h-6" />}
+        title="Encrypt/Decrypt Mode"
+        subtitle="Generate a key pair and securely encrypt/decrypt messages."
+      />
+      <div className="p-6">
+        <div className="flex flex-col md:flex-row gap-6">
+          {/* --- Key Generation & Display --- */}
+          <div className="flex-1 flex flex-col gap-4 p-4 bg-gray-900 rounded-lg border border-gray-700">
+            <h3 className="text-lg font-semibold text-cyan-400">Your Key Pair</h3>
+            <SelectBox
+              label="Padding"
+              value={padding}
+              onChange={setPadding}
+              options={PADDING_MODES}
+            />
+            <KeyGenerationControls generator={keyGenerator} onGenerate={handleGenerateKeys} />
+            <KeyImportPanel onImport={handleImportKey} collapsible />
+            <KeyringPanel currentKey={n ? { n, e, d, ...crtKey } : null} onSelect={handleImportKey} />
+            
+            <AnimatePresence>
+              {isPublicKeyReady && (
+                <motion.div 
+                  className="flex flex-col gap-3"
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                >
+                  <KeyDisplayBox label="Public Key (n)" value={n} />
+                  <KeyDisplayBox label="Public Key (e)" value={e} />
+                  {d ? (
+                    <KeyDisplayBox label="Private Key (d)" value={d} />
+                  ) : (
+                    <p className="text-sm text-amber-400">Public key only: you can encrypt, but not decrypt.</p>
+                  )}
+                  {crtKey && (
+                    <label className="flex items-start gap-2 text-sm text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={includePrivateKey}
+                        onChange={(event) => setIncludePrivateKey(event.target.checked)}
+                        className="mt-1 accent-cyan-500"
+                      />
+                      <span>
+                        Include the private key (p and q) in the page link.{' '}
+                        <span className={includePrivateKey ? "text-amber-400" : "text-gray-500"}>
+                          Anyone who opens the link can decrypt your messages.
+                        </span>
+                      </span>
+                    </label>
+                  )}
+                  {crtKey && <KeyExportPanel keyPair={{ n, e, d, ...crtKey }} />}
+                  {/* Keyed by n so a new key clears the previous results */}
+                  {crtKey && <WebCryptoCheckPanel key={n.toString()} keyPair={{ n, e, d, ...crtKey }} />}
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </div>
+          
+          {/* --- Encrypt/Decrypt Tabs --- */}
+          <div className="flex-[2] flex flex-col">
+            <div className="flex border-b border-gray-700">
+              <TabButton
+                label="Encrypt"
+                icon={<Lock className="w-5 h-5" />}
+                isActive={activeTab === 'encrypt'}
+                onClick={() => setActiveTab('encrypt')}
+              />
+              <TabButton
+                label="Decrypt"
+                icon={<Unlock className="w-5 h-5" />}
+                isActive={activeTab === 'decrypt'}
+                onClick={() => setActiveTab('decrypt')}
+              />
+            </div>
+            
+            <div className="pt-6">
+              <AnimatePresence mode="wait">
+                {activeTab === 'encrypt' && (
+                  <motion.div
+                    key="encrypt-tab"
+                    initial={{ opacity: 0, x: -10 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 10 }}
+                    transition={{ duration: 0.2 }}
+                  >
+                    <h3 className="text-lg font-semibold mb-2">Encrypt Message</h3>
+                    <p className="text-sm text-gray-400 mb-4">Uses the Public Key (e, n)</p>
+                    <TextArea
+                      label="Plaintext to Encrypt"
+                      value={encryptInput}
+                      onChange={setEncryptInput}
+                      placeholder="Enter your secret message..."
+                    />
+                    <Button onClick={handleEncrypt} disabled={!isPublicKeyReady || !encryptInput} className="mt-4">
+                      <Lock className="w-5 h-5" /> Encrypt
+                    </Button>
+                    <TextArea
+                      label="Encrypted Ciphertext (Copy this, one block per line)"
+                      value={encryptOutput}
+                      readOnly
+                      placeholder="Your encrypted number will appear here..."
+                      className="mt-4"
+                    />
+                  </motion.div>
+                )}
+                
+                {activeTab === 'decrypt' && (
+                  <motion.div
+                    key="decrypt-tab"
+                    initial={{ opacity: 0, x: -10 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 10 }}
+                    transition={{ duration: 0.2 }}
+                  >
+                    <h3 className="text-lg font-semibold mb-2">Decrypt Message</h3>
+                    <p className="text-sm text-gray-400 mb-4">Uses the Private Key (d, n)</p>
+                    <TextArea
+                      label="Ciphertext to Decrypt"
+                      value={decryptInput}
+                      onChange={setDecryptInput}
+                      placeholder="Paste your encrypted number(s) here..."
+                      error={decryptError}
+                    />
+                    <Button onClick={handleDecrypt} disabled={!isKeyReady || !decryptInput} className="mt-4">
+                      <Unlock className="w-5 h-5" /> Decrypt
+                    </Button>
+                    <TextArea
+                      label="Decrypted Plaintext"
+                      value={decryptOutput}
+                      readOnly
+                      placeholder="Your original message will appear here..."
+                      className="mt-4"
+                    />
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+
+// Every export/import format: DER-based (PEM armored) and JWK
+const ALL_KEY_FORMATS = [...KEY_FORMATS, ...JWK_FORMATS];
+
+const KEYRING_INPUT_CLASS = "w-full bg-gray-900 border border-gray-700 text-gray-100 text-sm rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+/**
+ * Named key pairs saved in IndexedDB (see keyring.js). The current key can be saved,
+ * optionally with its private fields encrypted under a passphrase; a saved key is
+ * used like an imported one, and encrypted keys ask for their passphrase first.
+ */
+function KeyringPanel({ currentKey, onSelect }) {
+  const [keys, setKeys] = useState([]);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [unlockId, setUnlockId] = useState(null); // Encrypted key waiting for its passphrase
+  const [unlockPassphrase, setUnlockPassphrase] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const refresh = () => listKeys().then(setKeys, (err) => setError(err.message));
+
+  useEffect(() => {
+    listKeys().then(setKeys, (err) => setError(err.message));
+  }, []);
+
+  // Runs a keyring operation with a busy flag, showing its error message on failure
+  const run = async (operation) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await operation();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const defaultName = currentKey ? `${bitLength(currentKey.n)}-bit key` : '';
+
+  const handleSave = () => run(async () => {
+    await saveKey(name.trim() || defaultName, currentKey, { passphrase });
+    setName('');
+    setPassphrase('');
+    await refresh();
+  });
+
+  const handleUse = (record) => {
+    if (record.isEncrypted && unlockId !== record.id) {
+      setUnlockId(record.id);
+      setUnlockPassphrase('');
+      return;
+    }
+    run(async () => {
+      onSelect(await loadKey(record.id, { passphrase: unlockPassphrase }));
+      setUnlockId(null);
+      setUnlockPassphrase('');
+    });
+  };
+
+  // The first click asks for confirmation, the second deletes
+  const handleDelete = (record) => {
+    if (confirmDeleteId !== record.id) {
+      setConfirmDeleteId(record.id);
+      return;
+    }
+    setConfirmDeleteId(null);
+    run(async () => {
+      await deleteKey(record.id);
+      await refresh();
+    });
+  };
+
   return (
-    <div className="flex flex-col">
-      <label className="text-sm font-medium text-gray-300 mb-1.5">{label}</label>
-      <div className="relative">
-        <input
-          type="number"
-          value={value}
-          onChange={(e) => onChange(e.target.value)}
-          placeholder={placeholder}
-          className={cn(
-            "w-full bg-gray-900 border text-gray-100 rounded-lg p-3 pl-4 pr-10 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors",
-            error ? "border-red-500 focus:ring-red-500" : "border-gray-700"
+    <div className="flex flex-col gap-3 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-300">
+        <Database className="w-4 h-4" /> Keyring (stored in this browser)
+      </h4>
+
+      {currentKey && (
+        <div className="flex flex-col gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder={`Name (default: ${defaultName})`}
+            className={KEYRING_INPUT_CLASS}
+          />
+          {currentKey.d && (
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(event) => setPassphrase(event.target.value)}
+              placeholder="Passphrase to encrypt the private key (optional)"
+              autoComplete="new-password"
+              className={KEYRING_INPUT_CLASS}
+            />
           )}
-        />
-        <div className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500">
-          {error ? <X className="w-5 h-5 text-red-500" /> : icon ? icon : <Check className="w-5 h-5 text-green-500" />}
+          <Button onClick={handleSave} disabled={isBusy} className="w-full text-sm p-2">
+            {isBusy ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />} Save Current Key
+          </Button>
         </div>
-      </div>
-      {error && <p className="text-sm text-red-400 mt-1.5">{error}</p>}
+      )}
+
+      {keys.length === 0 ? (
+        <p className="text-xs text-gray-500">No saved keys yet.</p>
+      ) : (
+        <ul className="flex flex-col gap-2">
+          {keys.map((record) => {
+            const isCurrent = currentKey && record.n === currentKey.n.toString() && record.e === currentKey.e.toString();
+            return (
+              <li
+                key={record.id}
+                className={cn(
+                  "flex flex-col gap-2 p-2 rounded-lg border",
+                  isCurrent ? "border-cyan-600 bg-cyan-900/20" : "border-gray-700 bg-gray-900"
+                )}
+              >
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="flex items-center gap-1 text-sm font-semibold text-gray-200 truncate">
+                      {record.isEncrypted && <Lock className="w-3.5 h-3.5 text-amber-400 flex-shrink-0" />}
+                      {record.name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {record.bits}-bit · {new Date(record.createdAt).toLocaleString()} ·{' '}
+                      {!record.hasPrivateKey ? 'public key only' : record.isEncrypted ? 'private key encrypted' : 'private key stored'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleUse(record)}
+                    disabled={isBusy || isCurrent}
+                    className="px-2 py-1 text-xs font-medium text-gray-200 bg-gray-700 rounded hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isCurrent ? 'In use' : 'Use'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(record)}
+                    disabled={isBusy}
+                    className={cn(
+                      "flex items-center gap-1 p-1 text-xs rounded",
+                      confirmDeleteId === record.id ? "text-red-400" : "text-gray-500 hover:text-red-400"
+                    )}
+                    title="Delete this key"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    {confirmDeleteId === record.id && 'Delete?'}
+                  </button>
+                </div>
+                {unlockId === record.id && (
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      value={unlockPassphrase}
+                      onChange={(event) => setUnlockPassphrase(event.target.value)}
+                      onKeyDown={(event) => event.key === 'Enter' && handleUse(record)}
+                      placeholder="Passphrase"
+                      autoComplete="current-password"
+                      autoFocus
+                      className={KEYRING_INPUT_CLASS}
+                    />
+                    <button
+                      onClick={() => handleUse(record)}
+                      disabled={isBusy || !unlockPassphrase}
+                      className="flex items-center gap-1 px-2 text-xs font-medium text-gray-200 bg-gray-700 rounded hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      <Unlock className="w-3.5 h-3.5" /> Unlock
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {error && <p className="text-sm text-red-400">{error}</p>}
     </div>
   );
 }
 
-// Updated to include an optional icon
-function ValueBox({ label, value, formula, className, icon }) {
-  const displayValue = value !== null ? value.toString() : '...';
-  
+/**
+ * Exports a key pair as PEM (copy or download) or raw DER (download)
+ * in PKCS#1, SPKI or PKCS#8, or as a JWK. Private formats carry the full CRT fields.
+ */
+function KeyExportPanel({ keyPair }) {
+  const [formatId, setFormatId] = useState(KEY_FORMATS[0].id);
+  const [copied, setCopied] = useState(false);
+  const format = ALL_KEY_FORMATS.find(({ id }) => id === formatId);
+  const isJwk = JWK_FORMATS.includes(format);
+  const der = isJwk ? null : format.encode(keyPair);
+  const text = isJwk ? JSON.stringify(toJwk(keyPair, format.isPrivate), null, 2) : toPem(der, format.pemLabel);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
   return (
-    <div className={cn("flex flex-col p-3 bg-gray-900 rounded-lg border border-gray-700", className)}>
-      <div className="flex justify-between items-center">
-        <div className="flex items-center gap-2">
-          {icon && <span className="text-gray-500">{icon}</span>}
-          <label className="text-sm font-medium text-gray-400">{label}</label>
-        </div>
-        {formula && <span className="text-xs font-mono text-gray-500">{formula}</span>}
+    <div className="flex flex-col gap-3 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <SelectBox
+        label="Export Format"
+        value={formatId}
+        onChange={setFormatId}
+        options={ALL_KEY_FORMATS.map(({ id, label }) => ({ value: id, label }))}
+      />
+      {format.isPrivate && (
+        <p className="text-xs text-amber-400">Contains the private key. Keep it secret.</p>
+      )}
+      <pre className="p-2 bg-gray-900 rounded-md text-xs text-gray-400 font-mono overflow-x-auto max-h-40">{text}</pre>
+      <div className="flex gap-2">
+        <Button onClick={handleCopy} className="flex-1 text-sm p-2">
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />} Copy {isJwk ? 'JWK' : 'PEM'}
+        </Button>
+        {isJwk ? (
+          <Button onClick={() => downloadFile(`rsa-${format.id}.json`, text, 'application/jwk+json')} className="flex-1 text-sm p-2">
+            <Download className="w-4 h-4" /> JSON
+          </Button>
+        ) : (
+          <>
+            <Button onClick={() => downloadFile(`rsa-${format.id}.pem`, text, 'application/x-pem-file')} className="flex-1 text-sm p-2">
+              <Download className="w-4 h-4" /> PEM
+            </Button>
+            <Button onClick={() => downloadFile(`rsa-${format.id}.der`, der, 'application/octet-stream')} className="flex-1 text-sm p-2">
+              <Download className="w-4 h-4" /> DER
+            </Button>
+          </>
+        )}
       </div>
-      <p className="text-xl font-bold font-mono text-cyan-300 mt-1 truncate">
-        {displayValue}
-      </p>
     </div>
   );
 }
 
-function ValuedBox({ label, value, formula, className }) {
-  const [copied, setCopied] = useState(false);
-  const displayValue = value !== null ? value.toString() : '...';
-  
-  const handleCopy = () => {
-    if (value !== null) {
-      navigator.clipboard.writeText(displayValue);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+
+/**
+ * Imports a PEM or DER key (PKCS#1, SPKI or PKCS#8) or a JWK from pasted text or a file,
+ * shows its decoded ASN.1 structure, and hands the key to onImport.
+ * Parse errors name the failing byte (DER), character (PEM) or JWK member.
+ */
+function KeyImportPanel({ onImport, collapsible = false }) {
+  const [isOpen, setIsOpen] = useState(!collapsible);
+  const [input, setInput] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null); // { format, key, tree, der }
+  const [error, setError] = useState('');
+
+  const parse = (data) => {
+    try {
+      setResult(importRsaKey(data));
+      setError('');
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
     }
   };
 
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-selecting the same file
+    if (!file) return;
+    setFileName(file.name);
+    setInput('');
+    parse(new Uint8Array(await file.arrayBuffer()));
+  };
+
+  const handleParseText = () => {
+    setFileName('');
+    parse(input.trim());
+  };
+
+  const format = result && ALL_KEY_FORMATS.find(({ id }) => id === result.format);
+
+  if (!isOpen) {
+    return (
+      <button onClick={() => setIsOpen(true)} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-cyan-400">
+        <FileUp className="w-4 h-4" /> Import an existing key (PEM/DER)
+      </button>
+    );
+  }
+
   return (
-    <div className={cn("flex flex-col p-3 bg-gray-900 rounded-lg border border-gray-700", className)}>
-      <div className="flex justify-between items-center">
-        <label className="text-sm font-medium text-gray-400">{label}</label>
-        {formula && <span className="text-xs font-mono text-gray-500">{formula}</span>}
-      </div>
-      <div className="flex items-center gap-2 mt-1">
-        <p className="text-xl font-bold font-mono text-cyan-300 truncate">
-          {displayValue}
-        </p>
-        <button onClick={handleCopy} className="text-gray-500 hover:text-cyan-400 flex-shrink-0">
-          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-        </button>
+    <div className="flex flex-col gap-3 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <TextArea
+        label="Paste a PEM key, a JWK (JSON) or DER as hex/base64"
+        value={input}
+        onChange={setInput}
+        placeholder="-----BEGIN PUBLIC KEY-----"
+        error={error}
+      />
+      <div className="flex gap-2">
+        <Button onClick={handleParseText} disabled={!input.trim()} className="flex-1 text-sm p-2">
+          <Eye className="w-4 h-4" /> Parse
+        </Button>
+        <label className="flex-1 flex items-center justify-center gap-2 text-sm p-2 font-semibold text-white bg-gray-700 rounded-lg cursor-pointer hover:bg-gray-600">
+          <FileUp className="w-4 h-4" /> Open File
+          <input type="file" accept=".pem,.der,.key,.pub,.json,.jwk" onChange={handleFile} className="hidden" />
+        </label>
       </div>
+      {fileName && <p className="text-xs text-gray-400">File: {fileName}</p>}
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-300">
+            {format.label}, {bitLength(result.key.n)}-bit modulus{result.der && `, ${result.der.length} bytes of DER`}
+          </p>
+          {result.tree && <Asn1Tree node={result.tree} />}
+          <Button onClick={() => onImport(result.key)} className="w-full text-sm p-2">
+            <Check className="w-4 h-4" /> Use this key
+          </Button>
+        </>
+      )}
     </div>
   );
 }
 
-function Button({ onClick, children, className, disabled }) {
+/**
+ * Runs the WebCrypto cross-check for a key pair and lists each check's outcome.
+ */
+function WebCryptoCheckPanel({ keyPair }) {
+  const [results, setResults] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCheck = async () => {
+    setIsRunning(true);
+    setError('');
+    try {
+      setResults(await crossCheckWithWebCrypto(keyPair));
+    } catch (err) {
+      setResults(null);
+      setError(err.message);
+    }
+    setIsRunning(false);
+  };
+
   return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      className={cn(
-        "flex items-center justify-center gap-2 p-3 bg-cyan-600 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-500 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:ring-offset-2 focus:ring-offset-gray-900 transition-all",
-        "disabled:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50",
-        className
+    <div className="flex flex-col gap-3 p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <p className="text-xs text-gray-400">
+        Imports this key into the browser's WebCrypto as a JWK and compares its native RSA with our BigInt modPow.
+      </p>
+      <Button onClick={handleCheck} disabled={isRunning} className="w-full text-sm p-2">
+        {isRunning ? <RefreshCw className="w-4 h-4 animate-spin" /> : <BadgeCheck className="w-4 h-4" />} Verify with WebCrypto
+      </Button>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {results && (
+        <ul className="flex flex-col gap-2">
+          {results.map(({ name, passed, skipped, detail }) => (
+            <li key={name} className="flex items-start gap-2 text-sm">
+              {skipped ? <Minus className="w-4 h-4 mt-0.5 flex-shrink-0 text-gray-500" />
+                : passed ? <Check className="w-4 h-4 mt-0.5 flex-shrink-0 text-green-500" /> : <X className="w-4 h-4 mt-0.5 flex-shrink-0 text-red-500" />}
+              <div>
+                <p className={skipped ? "text-gray-400" : "text-gray-200"}>{name}</p>
+                <p className={cn("text-xs", passed || skipped ? "text-gray-400" : "text-red-400")}>{detail}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
       )}
-    >
-      {children}
-    </button>
+    </div>
   );
 }
 
-function ToggleButton({ onClick, isActive, icon, label }) {
+// Value preview for a primitive ASN.1 node
+function describeAsn1Value(node) {
+  if (node.name === 'INTEGER') {
+    const value = bytesToBigInt(node.value).toString();
+    return value.length > 40 ? `${value.slice(0, 20)}…${value.slice(-12)} (${value.length} digits)` : value;
+  }
+  if (node.name === 'OBJECT IDENTIFIER' && node.length > 0) {
+    try {
+      return readObjectIdentifier(node);
+    } catch {
+      // A truncated OID is shown as hex below
+    }
+  }
+  if (node.name === 'NULL') return 'null';
+  const hex = toHex(node.value.subarray(0, 16));
+  return node.length > 16 ? `${hex} … (${node.length} bytes)` : hex;
+}
+
+/**
+ * Collapsible DER tree. Each row shows the byte offset, header length (hl),
+ * content length (l) and where the content starts, like `openssl asn1parse`.
+ */
+function Asn1Tree({ node, depth = 0 }) {
+  const [isOpen, setIsOpen] = useState(depth < 3);
+  const hasChildren = node.children.length > 0;
+  const contentOffset = node.offset + node.headerLength;
+
   return (
-    <button
-      onClick={onClick}
-      className={cn(
-        "relative flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium rounded-md transition-colors",
-        isActive ? "text-cyan-300" : "text-gray-400 hover:text-white"
-      )}
-    >
-      {isActive && (
-        <motion.div
-          layoutId="active-toggle"
-          className="absolute inset-0 bg-cyan-800/50 rounded-md"
-          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
-        />
-      )}
-      <span className="relative z-10">{icon}</span>
-      <span className="relative z-10">{label}</span>
-    </button>
+    <div className={cn("font-mono text-xs", depth === 0 && "p-2 bg-gray-900 rounded-md overflow-x-auto max-h-80")}>
+      <div
+        className={cn("flex items-start gap-1 py-0.5 whitespace-nowrap", hasChildren && "cursor-pointer hover:bg-gray-800")}
+        style={{ paddingLeft: `${depth * 1}rem` }}
+        onClick={() => hasChildren && setIsOpen(!isOpen)}
+      >
+        {hasChildren ? (
+          isOpen ? <ChevronDown className="w-3 h-3 mt-0.5 flex-shrink-0" /> : <ChevronRight className="w-3 h-3 mt-0.5 flex-shrink-0" />
+        ) : (
+          <span className="w-3 flex-shrink-0" />
+        )}
+        <span className="text-gray-500">{node.offset}: hl={node.headerLength} l={node.length} @{contentOffset}</span>
+        <span className="text-cyan-400">{node.name}</span>
+        {node.field && <span className="text-amber-400">{node.field}</span>}
+        {!node.constructed && !node.encapsulated && <span className="text-gray-300">{describeAsn1Value(node)}</span>}
+        {node.encapsulated && <span className="text-gray-500">(encapsulates DER)</span>}
+      </div>
+      {hasChildren && isOpen && node.children.map((child) => (
+        <Asn1Tree key={child.offset} node={child} depth={depth + 1} />
+      ))}
+    </div>
   );
 }
 
-// --- NEW Components for EncryptorDecryptor Mode ---
 
-function KeyDisplayBox({ label, value }) {
-  const [copied, setCopied] = useState(false);
-  const displayValue = value ? value.toString() : '...';
+// --- Sign/Verify Component ---
 
-  const handleCopy = () => {
-    if (value) {
-      navigator.clipboard.writeText(displayValue);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+/**
+ * Hash-then-sign with textbook RSA: S = H^d mod n where H = SHA-256(message).
+ * Verification recomputes H and compares it with S^e mod n.
+ */
+function SignVerify() {
+  const [n, setN] = useState(null);
+  const [e, setE] = useState(null);
+  const [d, setD] = useState(null);
+  const keyGenerator = useKeyGenerator(512);
+
+  // Sign state
+  const [message, setMessage] = useState('');
+  const [hashInt, setHashInt] = useState(null); // H
+  const [signature, setSignature] = useState(null); // S
+  const [signingSteps, setSigningSteps] = useState([]);
+
+  // Verify state
+  const [verifyMessage, setVerifyMessage] = useState('');
+  const [verifySignature, setVerifySignature] = useState('');
+  const [isValid, setIsValid] = useState(null);
+  const [verificationSteps, setVerificationSteps] = useState([]);
+
+  const isKeyReady = n && e && d;
+
+  const resetSigning = () => {
+    setHashInt(null);
+    setSignature(null);
+    setSigningSteps([]);
+    setIsValid(null);
+    setVerificationSteps([]);
+  };
+
+  const handleGenerateKeys = () => {
+    keyGenerator.generate((key) => {
+      setN(key.n);
+      setE(key.e);
+      setD(key.d);
+      resetSigning();
+    });
+  };
+
+  // SHA-256 of the message as an integer, reduced mod n if n is smaller than the hash
+  const hashMessage = async (text) => {
+    const digest = await sha256(new TextEncoder().encode(text));
+    const hVal = bytesToBigInt(digest);
+    return { digest, hVal, hReduced: hVal % n };
+  };
+
+  const handleSign = async () => {
+    if (!message || !isKeyReady) return;
+
+    // 1. Hash the message
+    const { digest, hVal, hReduced } = await hashMessage(message);
+
+    // 2. Calculate Signature S = H^d mod n
+    const modPowRun = modPowWithSteps(hReduced, d, n);
+    const { result } = modPowRun;
+
+    setHashInt(hReduced);
+    setSignature(result);
+    setVerifyMessage(message);
+    setVerifySignature(result.toString());
+    setIsValid(null);
+    setVerificationSteps([]);
+
+    // 3. Set visualization steps
+    setSigningSteps([
+      { title: 'Hash the Message', value: `SHA-256("${message}") = ${toHex(digest)}` },
+      { title: 'Hash as Integer (H)', value: hVal === hReduced ? `${hVal}` : `${hVal} mod n = ${hReduced} (n is smaller than the hash)` },
+      { title: 'Signing Formula', value: `S = Hᵈ mod n` },
+      { title: 'Calculation', value: `S = ${hReduced}^${d} mod ${n}` },
+      { title: 'Modular Exponentiation', value: `See steps below...`, modPowRun },
+      { title: 'Signature (S)', value: `${result}` }
+    ]);
+  };
+
+  const handleVerify = async () => {
+    if (!verifyMessage || !verifySignature || !isKeyReady) return;
+
+    const sVal = parseBigInt(verifySignature);
+    if (sVal === null || sVal < 0n || sVal >= n) {
+      setIsValid(false);
+      setVerificationSteps([
+        { title: 'Error', value: 'The signature must be a whole number between 0 and n - 1.' }
+      ]);
+      return;
     }
+
+    // 1. Recover H' = S^e mod n
+    const modPowRun = modPowWithSteps(sVal, e, n);
+    const { result } = modPowRun;
+
+    // 2. Recompute the hash of the received message
+    const { digest, hReduced } = await hashMessage(verifyMessage);
+    const valid = result === hReduced;
+    setIsValid(valid);
+
+    // 3. Set visualization steps
+    setVerificationSteps([
+      { title: 'Verification Formula', value: `H' = Sᵉ mod n` },
+      { title: 'Calculation', value: `H' = ${sVal}^${e} mod ${n}` },
+      { title: 'Modular Exponentiation', value: `See steps below...`, modPowRun },
+      { title: 'Recovered Hash (H\')', value: `${result}` },
+      { title: 'Recompute Hash (H)', value: `SHA-256("${verifyMessage}") = ${toHex(digest)} → ${hReduced}` },
+      { title: 'Compare', value: valid ? `H' = H, the signature is valid.` : `H' ≠ H, the signature is NOT valid for this message.` }
+    ]);
   };
 
   return (
-    <div className="flex flex-col p-3 bg-gray-800 rounded-lg border border-gray-700">
-      <label className="text-sm font-medium text-gray-400">{label}</label>
-      <div className="flex items-center gap-2 mt-1">
-        <p className="text-lg font-mono text-cyan-300 truncate">
-          {displayValue}
-        </p>
-        <button onClick={handleCopy} className="text-gray-500 hover:text-cyan-400 ml-auto flex-shrink-0">
-          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
-        </button>
-      </div>
-    </div>
-  );
-}
+    <div className="flex flex-col gap-8">
+      <Card>
+        <CardHeader
+          icon={<KeyRound className="w-6 h-6" />}
+          title="1. Signing Key Pair"
+          subtitle="The private key (d) signs, the public key (e, n) verifies."
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+          <div className="flex flex-col gap-4">
+            <KeyGenerationControls generator={keyGenerator} onGenerate={handleGenerateKeys} />
+          </div>
+          <div className="flex flex-col gap-3">
+            <KeyDisplayBox label="Public Key (n)" value={n} />
+            <KeyDisplayBox label="Public Key (e)" value={e} />
+            <KeyDisplayBox label="Private Key (d)" value={d} />
+          </div>
+        </div>
+      </Card>
 
-function TabButton({ label, icon, isActive, onClick }) {
-  return (
-    <button
-      onClick={onClick}
-      className={cn(
-        "relative flex-1 flex items-center justify-center gap-2 p-3 text-sm font-medium transition-colors",
-        isActive ? "text-cyan-300" : "text-gray-400 hover:text-white"
-      )}
-    >
-      {icon}
-      {label}
-      {isActive && (
-        <motion.div
-          layoutId="active-tab-indicator"
-          className="absolute bottom-0 left-0 right-0 h-0.5 bg-cyan-400"
-          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+      <Card>
+        <CardHeader
+          icon={<Signature className="w-6 h-6" />}
+          title="2. Sign"
+          subtitle="Hash the message with SHA-256, then sign the hash with the Private Key."
         />
-      )}
-    </button>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+          <div className="flex flex-col gap-6">
+            <TextArea
+              label="Message to Sign"
+              value={message}
+              onChange={(val) => {
+                setMessage(val);
+                resetSigning();
+              }}
+              placeholder="e.g., I owe Bob 10 coins"
+            />
+            <Button onClick={handleSign} disabled={!isKeyReady || !message} className="w-full">
+              <Signature className="w-5 h-5" />
+              Sign & Visualize
+            </Button>
+          </div>
+          <div className="flex flex-col gap-4">
+            <ValueBox
+              label="Message Hash (H)"
+              value={hashInt}
+              formula="H = SHA-256(m)"
+              icon={<Hash className="w-4 h-4 text-gray-500" />}
+            />
+            <ValueBox
+              label="Signature (S)"
+              value={signature}
+              formula="S = Hᵈ mod n"
+              icon={<Binary className="w-4 h-4 text-gray-500" />}
+            />
+          </div>
+        </div>
+
+        {signingSteps.length > 0 && (
+          <div className="p-6 border-t border-gray-700">
+            <h3 className="text-lg font-semibold mb-4 text-cyan-400">Signing Steps</h3>
+            <StepList steps={signingSteps} />
+          </div>
+        )}
+      </Card>
+
+      <Card>
+        <CardHeader
+          icon={<ShieldCheck className="w-6 h-6" />}
+          title="3. Verify"
+          subtitle="Check a signature with the Public Key."
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+          <div className="flex flex-col gap-6">
+            <TextArea
+              label="Received Message"
+              value={verifyMessage}
+              onChange={(val) => {
+                setVerifyMessage(val);
+                setIsValid(null);
+              }}
+              placeholder="Edit the message to see verification fail..."
+            />
+            <TextArea
+              label="Received Signature (S)"
+              value={verifySignature}
+              onChange={(val) => {
+                setVerifySignature(val);
+                setIsValid(null);
+              }}
+              placeholder="Paste the signature number here..."
+            />
+            <Button onClick={handleVerify} disabled={!isKeyReady || !verifyMessage || !verifySignature} className="w-full">
+              <ShieldCheck className="w-5 h-5" />
+              Verify & Visualize
+            </Button>
+          </div>
+          <div className="flex flex-col gap-4">
+            <ValueBox
+              label="Verification Result"
+              value={isValid === null ? null : isValid ? 'Valid' : 'Invalid'}
+              formula="Sᵉ mod n = H ?"
+              icon={isValid === false ? <X className="w-4 h-4 text-red-500" /> : <Check className="w-4 h-4 text-gray-500" />}
+            />
+          </div>
+        </div>
+
+        {verificationSteps.length > 0 && (
+          <div className="p-6 border-t border-gray-700">
+            <h3 className="text-lg font-semibold mb-4 text-cyan-400">Verification Steps</h3>
+            <StepList steps={verificationSteps} />
+          </div>
+        )}
+      </Card>
+    </div>
   );
 }
 
-function TextArea({ label, value, onChange, placeholder, readOnly = false, className, error }) {
+
+// --- Practice Mode ---
+
+const EXERCISE_TYPE_OPTIONS = [
+  { value: 'any', label: 'Any exercise' },
+  ...EXERCISE_TYPES.map(({ id, label }) => ({ value: id, label })),
+];
+
+/**
+ * Random small-prime exercises with answer checking and hints revealed one at a time.
+ * The difficulty and score are kept in localStorage.
+ */
+function PracticeMode() {
+  const [progress, setProgress] = useState(loadPracticeProgress);
+  const [typeFilter, setTypeFilter] = useState('any');
+  const [exercise, setExercise] = useState(() => generateExercise(progress.difficulty));
+  const [answer, setAnswer] = useState('');
+  const [answerError, setAnswerError] = useState(null);
+  const [feedback, setFeedback] = useState(null); // { correct, expected, explanation, revealed? }
+  const [hintsShown, setHintsShown] = useState(0);
+  const [isScored, setIsScored] = useState(false); // Only the first check of an exercise counts
+
+  useEffect(() => {
+    savePracticeProgress(progress);
+  }, [progress]);
+
+  const nextExercise = (difficulty = progress.difficulty, type = typeFilter) => {
+    setExercise(generateExercise(difficulty, type === 'any' ? undefined : type));
+    setAnswer('');
+    setAnswerError(null);
+    setFeedback(null);
+    setHintsShown(0);
+    setIsScored(false);
+  };
+
+  const score = (correct) => {
+    if (isScored) return;
+    setIsScored(true);
+    setProgress((previous) => {
+      const streak = correct ? previous.streak + 1 : 0;
+      return {
+        ...previous,
+        correct: previous.correct + (correct ? 1 : 0),
+        attempted: previous.attempted + 1,
+        streak,
+        bestStreak: Math.max(previous.bestStreak, streak),
+      };
+    });
+  };
+
+  const handleCheck = (value) => {
+    if (value === '' || value === null) {
+      setAnswerError('Enter a whole number.');
+      return;
+    }
+    const result = checkAnswer(exercise, value);
+    // The last hint works the answer out, so it only counts as practice
+    const usedSolution = hintsShown === exercise.hints.length;
+    setFeedback({ ...result, usedSolution });
+    score(result.correct && !usedSolution);
+  };
+
+  // Revealing the answer counts as a miss
+  const handleReveal = () => {
+    setFeedback({ ...checkAnswer(exercise, null), correct: false, revealed: true });
+    score(false);
+  };
+
+  const handleDifficultyChange = (difficulty) => {
+    setProgress((previous) => ({ ...previous, difficulty }));
+    nextExercise(difficulty);
+  };
+
+  const handleTypeChange = (type) => {
+    setTypeFilter(type);
+    nextExercise(progress.difficulty, type);
+  };
+
+  const handleResetScore = () => {
+    setProgress((previous) => ({ ...previous, correct: 0, attempted: 0, streak: 0, bestStreak: 0 }));
+  };
+
+  const isSolved = feedback?.correct || feedback?.revealed;
+  const formatExpected = (expected) => (typeof expected === 'boolean' ? (expected ? 'Yes' : 'No') : expected.toString());
+
   return (
-    <div className={cn("flex flex-col", className)}>
-      <label className="text-sm font-medium text-gray-300 mb-1.5">{label}</label>
-      <textarea
-        value={value}
-        onChange={(e) => onChange && onChange(e.target.value)}
-        placeholder={placeholder}
-        readOnly={readOnly}
-        rows={4}
-        className={cn(
-          "w-full bg-gray-900 border text-gray-100 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors",
-          readOnly ? "bg-gray-800/50" : "border-gray-700",
-          error ? "border-red-500 focus:ring-red-500" : "border-gray-700"
-        )}
+    <Card>
+      <CardHeader
+        icon={<GraduationCap className="w-6 h-6" />}
+        title="Practice"
+        subtitle="Random small-prime RSA exercises, checked with gcd, modInverse and modPow."
       />
-      {error && <p className="text-sm text-red-400 mt-1.5">{error}</p>}
-    </div>
+      <div className="p-6 flex flex-col gap-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <SelectBox
+            label="Difficulty"
+            value={progress.difficulty}
+            onChange={handleDifficultyChange}
+            options={PRACTICE_DIFFICULTIES.map(({ id, label }) => ({ value: id, label }))}
+          />
+          <SelectBox label="Exercise" value={typeFilter} onChange={handleTypeChange} options={EXERCISE_TYPE_OPTIONS} />
+          <div className="flex items-center gap-3 p-3 bg-gray-900 rounded-lg border border-gray-700">
+            <Trophy className="w-5 h-5 text-amber-400" />
+            <div className="flex-1">
+              <p className="text-lg font-bold font-mono text-white">{progress.correct} / {progress.attempted}</p>
+              <p className="text-xs text-gray-400">Streak {progress.streak} · best {progress.bestStreak}</p>
+            </div>
+            <button onClick={handleResetScore} className="p-1 text-gray-500 hover:text-white" title="Reset score">
+              <RotateCcw className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-4 p-4 bg-gray-800/50 rounded-lg border border-gray-700">
+          <p className="text-lg font-semibold text-white">{exercise.prompt}</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {exercise.given.map(({ label, value }) => (
+              <ValueBox key={label} label={label} value={value} />
+            ))}
+          </div>
+
+          {exercise.type === 'e-valid' ? (
+            <div className="flex gap-2">
+              <Button onClick={() => handleCheck(true)} disabled={isSolved} className="flex-1">
+                <Check className="w-5 h-5" /> Yes, e is valid
+              </Button>
+              <Button onClick={() => handleCheck(false)} disabled={isSolved} className="flex-1">
+                <X className="w-5 h-5" /> No
+              </Button>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+              <div className="md:col-span-2">
+                <InputBox
+                  label="Your answer"
+                  value={answer}
+                  onChange={(value) => {
+                    setAnswer(value);
+                    setAnswerError(null);
+                  }}
+                  placeholder="e.g. 323"
+                  error={answerError}
+                  icon={<Hash className="w-5 h-5" />}
+                />
+              </div>
+              <Button onClick={() => handleCheck(answer.trim() === '' ? null : parseBigInt(answer))} disabled={isSolved} className="md:mt-7">
+                <Check className="w-5 h-5" /> Check
+              </Button>
+            </div>
+          )}
+
+          {feedback && (
+            <div
+              className={cn(
+                "flex items-start gap-2 p-3 rounded-lg border text-sm",
+                feedback.correct ? "bg-green-900/20 border-green-700 text-green-300" : "bg-red-900/20 border-red-700 text-red-300"
+              )}
+            >
+              {feedback.correct ? <Check className="w-5 h-5 flex-shrink-0" /> : <X className="w-5 h-5 flex-shrink-0" />}
+              <span>
+                {feedback.correct && feedback.usedSolution ? 'Correct, but the last hint showed the working, so it counts as a miss. '
+                  : feedback.correct ? 'Correct! ' : feedback.revealed ? `The answer is ${formatExpected(feedback.expected)}. ` : 'Not quite. Try again or take a hint. '}
+                {isSolved && <span className="font-mono">{feedback.explanation}</span>}
+              </span>
+            </div>
+          )}
+
+          <div className="flex flex-col md:flex-row gap-2">
+            <Button
+              onClick={() => setHintsShown(hintsShown + 1)}
+              disabled={hintsShown >= exercise.hints.length}
+              className="flex-1 bg-gray-700 hover:bg-gray-600"
+            >
+              <Lightbulb className="w-5 h-5" />
+              {hintsShown === exercise.hints.length - 1 ? 'Last Hint (scores as a miss)' : `Hint (${hintsShown} of ${exercise.hints.length})`}
+            </Button>
+            <Button onClick={handleReveal} disabled={isSolved} className="flex-1 bg-gray-700 hover:bg-gray-600">
+              <Eye className="w-5 h-5" /> Show Answer
+            </Button>
+            <Button onClick={() => nextExercise()} className="flex-1">
+              <Shuffle className="w-5 h-5" /> Next Exercise
+            </Button>
+          </div>
+
+          {hintsShown > 0 && <StepList steps={exercise.hints.slice(0, hintsShown)} />}
+        </div>
+      </div>
+    </Card>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,602 @@
+import { useState, useRef, useEffect } from 'react';
+import { Lock, X, Hash, RefreshCw, Swords, Bug, Radio, Skull, ListTree, FileUp } from 'lucide-react';
+import { LayoutGroup } from 'framer-motion';
+import { gcd, generateKeyPair, textToBigInt, bigIntToText, bigIntToBytes, bytesToBigInt, getByteLength, pkcs1v15Pad, pkcs1v15Unpad, PKCS1_V15_OVERHEAD, modPow, bitLength, nthRoot } from './rsa-math.js';
+import { startKeyGeneration, describeKeyGenProgress } from './keygen.js';
+import { startBleichenbacherAttack, BLEICHENBACHER_STEPS } from './bleichenbacher.js';
+import { hastadBroadcast, parseModulusList, findSharedFactors, generateWeakKeys } from './attacks.js';
+import { pkcs1v15Layout } from './display.js';
+import { StepList, ByteLayoutView, Card, CardHeader, InputBox, ValueBox, Button, TabButton, SelectBox, TextArea } from './ui.jsx';
+
+// --- Attack Lab (standalone attack scenarios with their own keys) ---
+
+export default function AttackLab() {
+  return (
+    <>
+      <HastadAttack />
+      <BleichenbacherAttack />
+      <BatchGcdScanner />
+    </>
+  );
+}
+
+// Modulus sizes for the attack scenarios: small enough to generate instantly
+const ATTACK_KEY_SIZES = [256, 512, 1024];
+const BROADCAST_RECIPIENTS = 3;
+
+/**
+ * Håstad's broadcast attack: one message, e = 3, three recipients. Also shows
+ * the shortcut when M³ < n, where one ciphertext is already a perfect cube.
+ */
+function HastadAttack() {
+  const [message, setMessage] = useState('Attack at dawn');
+  const [keySize, setKeySize] = useState(256);
+  const [recipients, setRecipients] = useState(null); // [{ n, c }]
+  const [error, setError] = useState('');
+  const [scenario, setScenario] = useState('broadcast'); // 'broadcast' or 'small'
+  const [broadcastSteps, setBroadcastSteps] = useState([]);
+  const [smallSteps, setSmallSteps] = useState([]);
+  const [generated, setGenerated] = useState(null); // Recipients generated so far, while the worker runs
+  const [progress, setProgress] = useState(null);
+  const cancelRef = useRef(null);
+
+  // Stop the worker when leaving this mode
+  useEffect(() => () => {
+    if (cancelRef.current) cancelRef.current();
+  }, []);
+
+  const handleCancel = () => {
+    if (cancelRef.current) cancelRef.current();
+    cancelRef.current = null;
+    setGenerated(null);
+  };
+
+  // The keys come from the keygen worker one at a time: with e = 3 many primes are rejected
+  // (p − 1 must not be divisible by 3), which would freeze the page at 1024 bits.
+  // A key whose modulus shares a factor with an earlier one is dropped, so the moduli stay pairwise coprime.
+  const generateRecipients = (keys, onDone) => {
+    if (keys.length === BROADCAST_RECIPIENTS) {
+      cancelRef.current = null;
+      setGenerated(null);
+      onDone(keys);
+      return;
+    }
+    setGenerated(keys);
+    setProgress(null);
+    cancelRef.current = startKeyGeneration(keySize, {
+      e: 3n,
+      onProgress: setProgress,
+      onDone: (key) => generateRecipients(keys.every(({ n }) => gcd(n, key.n) === 1n) ? [...keys, key] : keys, onDone),
+      onError: (message) => {
+        cancelRef.current = null;
+        setGenerated(null);
+        setError(message);
+      },
+    });
+  };
+
+  const handleEncrypt = () => {
+    handleCancel();
+    setBroadcastSteps([]);
+    setSmallSteps([]);
+    setRecipients(null);
+    setError('');
+    const mVal = textToBigInt(message);
+    generateRecipients([], (keys) => {
+      const smallest = keys.reduce((min, { n }) => (n < min ? n : min), keys[0].n);
+      if (mVal >= smallest) {
+        setError(`The message is ${bitLength(mVal)} bits, too large for ${keySize}-bit moduli. Shorten it or pick a larger key size.`);
+        return;
+      }
+      setRecipients(keys.map(({ n }) => ({ n, c: modPow(mVal, 3n, n) })));
+    });
+  };
+
+  const handleAttack = () => {
+    const moduli = recipients.map(({ n }) => n);
+    const { modulus, terms, combined, root, isExact } = hastadBroadcast(recipients.map(({ c }) => c), moduli, 3);
+    setBroadcastSteps([
+      { title: 'The Attacker Sees', value: `Three public keys (nᵢ, e = 3) and three ciphertexts Cᵢ = M³ mod nᵢ` },
+      {
+        title: 'Combine with CRT',
+        value: `N = n1 · n2 · n3 = ${modulus} (${bitLength(modulus)} bits)`,
+        stepsLog: terms.flatMap(({ residue, partial, inverse, term }, i) => [
+          `N${i + 1} = N / n${i + 1} = ${partial}`,
+          `N${i + 1}⁻¹ mod n${i + 1} = ${inverse}`,
+          `C${i + 1} · N${i + 1} · N${i + 1}⁻¹ = ${residue} · ${partial} · ${inverse} = ${term}`,
+          '',
+        ]).concat([`x = (sum of the terms) mod N = ${combined}`]),
+      },
+      { title: 'Why No Reduction', value: `M < nᵢ for every i, so M³ < n1 · n2 · n3 = N. The CRT result x is M³ itself, not just M³ mod N.` },
+      isExact
+        ? { title: 'Exact Integer Cube Root', value: `M = ∛x = ${root} (check: M³ = x)` }
+        : { title: 'Cube Root Failed', value: `⌊∛x⌋ = ${root}, but its cube is not x.` },
+      ...(isExact ? [{ title: 'Recovered Plaintext', value: `"${bigIntToText(root)}"` }] : []),
+    ]);
+
+    // Shortcut: if M³ < n1, C1 was never reduced and is a perfect cube on its own
+    const [{ n: n1, c: c1 }] = recipients;
+    const cubeRoot = nthRoot(c1, 3);
+    const isCube = cubeRoot ** 3n === c1;
+    setSmallSteps([
+      { title: 'One Ciphertext Only', value: `C1 = M³ mod n1 = ${c1}` },
+      { title: 'Compare M³ with n', value: isCube
+        ? `M³ has ${bitLength(c1)} bits, n1 has ${bitLength(n1)} bits: M³ < n1, so "mod n1" never changed anything and C1 = M³.`
+        : `M³ is at least as large as n1, so C1 wrapped around the modulus: C1 ≠ M³.` },
+      isCube
+        ? { title: 'Exact Integer Cube Root', value: `M = ∛C1 = ${cubeRoot} → "${bigIntToText(cubeRoot)}"` }
+        : { title: 'Cube Root Fails', value: `⌊∛C1⌋ = ${cubeRoot} is not a cube root of C1. A longer message needs the broadcast attack instead.` },
+    ]);
+  };
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Radio className="w-6 h-6" />}
+        title="Attack: Håstad's Broadcast (e = 3)"
+        subtitle="The same unpadded message sent to three people with e = 3 can be read without any private key."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <TextArea label="Broadcast Message (M)" value={message} onChange={setMessage} error={error} />
+          <SelectBox
+            label="Recipient Key Size (bits of n)"
+            value={keySize}
+            onChange={(val) => setKeySize(Number(val))}
+            options={ATTACK_KEY_SIZES.map((bits) => ({ value: bits, label: `${bits}-bit` }))}
+          />
+          <Button onClick={handleEncrypt} disabled={!message || generated !== null} className="w-full">
+            {generated !== null ? (
+              <>
+                <RefreshCw className="w-5 h-5 animate-spin" />
+                Key {generated.length + 1}/{BROADCAST_RECIPIENTS}: {describeKeyGenProgress(progress)}
+              </>
+            ) : (
+              <>
+                <Lock className="w-5 h-5" /> Encrypt to {BROADCAST_RECIPIENTS} Recipients (e = 3)
+              </>
+            )}
+          </Button>
+          {generated !== null && (
+            <button onClick={handleCancel} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-red-400">
+              <X className="w-4 h-4" /> Cancel
+            </button>
+          )}
+          <Button onClick={handleAttack} disabled={!recipients} className="w-full">
+            <Swords className="w-5 h-5" /> Recover M
+          </Button>
+        </div>
+        <div className="flex flex-col gap-3">
+          {recipients ? recipients.map(({ n, c }, i) => (
+            <div key={i} className="flex flex-col gap-2 p-3 bg-gray-800 rounded-lg border border-gray-700">
+              <h4 className="text-sm font-medium text-gray-400">Recipient {i + 1}</h4>
+              <ValueBox label={`n${i + 1}`} value={n} />
+              <ValueBox label={`C${i + 1}`} value={c} formula={`C${i + 1} = M³ mod n${i + 1}`} />
+            </div>
+          )) : (
+            <p className="text-sm text-gray-500">Encrypt the message to generate three recipients with e = 3.</p>
+          )}
+        </div>
+      </div>
+
+      {broadcastSteps.length > 0 && (
+        <div className="p-6 border-t border-gray-700">
+          <LayoutGroup id="hastad-scenarios">
+            <div className="flex border-b border-gray-700 mb-4">
+              <TabButton
+                label="Broadcast: 3 Moduli + CRT"
+                icon={<Radio className="w-5 h-5" />}
+                isActive={scenario === 'broadcast'}
+                onClick={() => setScenario('broadcast')}
+              />
+              <TabButton
+                label="Small Message: M³ < n"
+                icon={<Hash className="w-5 h-5" />}
+                isActive={scenario === 'small'}
+                onClick={() => setScenario('small')}
+              />
+            </div>
+          </LayoutGroup>
+          <StepList steps={scenario === 'broadcast' ? broadcastSteps : smallSteps} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+
+// Key sizes for the padding oracle attack: larger keys need many more oracle queries
+const BLEICHENBACHER_KEY_SIZES = [256, 384, 512];
+
+// The chart keeps at most this many points, however long the run
+const HISTORY_LIMIT = 300;
+const EMPTY_HISTORY = { points: [], stride: 1, count: 0, latest: null };
+
+// Records a progress event for the chart. Every stride-th event becomes a point; when the points pass
+// HISTORY_LIMIT every other one is dropped and the stride doubles, so they stay an even sample of the run.
+// Events in between only move the line's end (latest), so updates don't copy the points.
+const appendToHistory = (history, point) => {
+  const count = history.count + 1;
+  if (count % history.stride !== 0) return { ...history, count, latest: point };
+  const points = [...history.points, point];
+  return points.length > HISTORY_LIMIT
+    ? { points: points.filter((_, i) => i % 2 === 1), stride: history.stride * 2, count, latest: null }
+    : { points, stride: history.stride, count, latest: null };
+};
+
+/**
+ * Attack: Bleichenbacher's padding oracle. A victim key encrypts a PKCS#1 v1.5
+ * message; a worker recovers it using only a local oracle that says whether a
+ * ciphertext decrypts to a block starting with 00 02.
+ */
+function BleichenbacherAttack() {
+  const [keySize, setKeySize] = useState(256);
+  const [message, setMessage] = useState('PIN 4711');
+  const [victim, setVictim] = useState(null); // { key, em, ciphertext, messageLength }
+  const [error, setError] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [history, setHistory] = useState(EMPTY_HISTORY); // Chart points { queries, bits }, see appendToHistory
+  const [result, setResult] = useState(null); // { message, queries, iterations, text, ms }
+  const cancelRef = useRef(null);
+
+  // Stop the worker when leaving this mode
+  useEffect(() => () => {
+    if (cancelRef.current) cancelRef.current();
+  }, []);
+
+  const handleCancel = () => {
+    if (cancelRef.current) cancelRef.current();
+    cancelRef.current = null;
+    setIsRunning(false);
+  };
+
+  const handleSetup = () => {
+    handleCancel();
+    setProgress(null);
+    setHistory(EMPTY_HISTORY);
+    setResult(null);
+    const key = generateKeyPair(keySize);
+    const k = getByteLength(key.n);
+    const bytes = new TextEncoder().encode(message);
+    if (bytes.length > k - PKCS1_V15_OVERHEAD) {
+      setVictim(null);
+      setError(`A ${keySize}-bit key fits at most ${k - PKCS1_V15_OVERHEAD} message bytes with PKCS#1 v1.5 padding.`);
+      return;
+    }
+    setError('');
+    const em = pkcs1v15Pad(bytes, k);
+    setVictim({ key, em, ciphertext: modPow(bytesToBigInt(em), key.e, key.n), messageLength: bytes.length });
+  };
+
+  const handleAttack = () => {
+    const start = performance.now();
+    setIsRunning(true);
+    setProgress(null);
+    setHistory(EMPTY_HISTORY);
+    setResult(null);
+    setError('');
+    cancelRef.current = startBleichenbacherAttack(victim.key, victim.ciphertext, {
+      onProgress: (next) => {
+        setProgress(next);
+        setHistory((previous) => appendToHistory(previous, { queries: next.queries, bits: next.uncertaintyBits }));
+      },
+      onDone: (attackResult) => {
+        cancelRef.current = null;
+        setIsRunning(false);
+        const k = getByteLength(victim.key.n);
+        let text;
+        try {
+          text = new TextDecoder().decode(pkcs1v15Unpad(bigIntToBytes(attackResult.message, k)));
+        } catch (err) {
+          text = err.message;
+        }
+        setResult({ ...attackResult, text, ms: performance.now() - start });
+      },
+      onError: (message) => {
+        cancelRef.current = null;
+        setIsRunning(false);
+        setError(message);
+      },
+    });
+  };
+
+  const totalBits = victim ? 8 * (getByteLength(victim.key.n) - 2) : 0;
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<Skull className="w-6 h-6" />}
+        title="Attack: Bleichenbacher's Padding Oracle (1998)"
+        subtitle="A server that only says “bad padding” leaks enough to decrypt a PKCS#1 v1.5 ciphertext."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <TextArea label="Secret Message" value={message} onChange={setMessage} error={error} />
+          <SelectBox
+            label="Victim Key Size (bits of n)"
+            value={keySize}
+            onChange={(val) => setKeySize(Number(val))}
+            options={BLEICHENBACHER_KEY_SIZES.map((bits) => ({ value: bits, label: `${bits}-bit` }))}
+            disabled={isRunning}
+          />
+          <Button onClick={handleSetup} disabled={!message || isRunning} className="w-full">
+            <Lock className="w-5 h-5" /> Generate Victim Key and Encrypt
+          </Button>
+          {victim && (
+            <>
+              <ValueBox label="Intercepted Ciphertext (c0)" value={victim.ciphertext} formula="c0 = EMᵉ mod n" />
+              <ByteLayoutView segments={pkcs1v15Layout(victim.em, victim.messageLength)} />
+              <Button onClick={handleAttack} disabled={isRunning} className="w-full">
+                {isRunning ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Swords className="w-5 h-5" />}
+                {isRunning ? 'Attacking...' : 'Start Attack'}
+              </Button>
+              {isRunning && (
+                <button onClick={handleCancel} className="flex items-center justify-center gap-1 text-sm text-gray-400 hover:text-red-400">
+                  <X className="w-4 h-4" /> Cancel
+                </button>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-4">
+          <p className="text-sm text-gray-400">
+            The oracle decrypts c0·sᵉ and answers only yes/no: does the block start with 00 02?
+            Every “yes” proves 2B ≤ m0·s − r·n &lt; 3B for some r (B = 2^{totalBits || '8(k−2)'}),
+            which cuts the set of possible m0 down. The chart shows how many bits of m0 are still unknown.
+          </p>
+          {progress && (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <ValueBox label="Oracle Queries" value={progress.queries.toLocaleString()} />
+                <ValueBox label="Iteration" value={progress.iteration} />
+              </div>
+              <p className="text-sm text-cyan-300">{BLEICHENBACHER_STEPS[progress.step]}</p>
+              <IntervalChart points={history.latest ? [...history.points, history.latest] : history.points} totalBits={totalBits} />
+              <IntervalBar intervals={progress.intervals} B={1n << BigInt(totalBits)} />
+              {progress.intervals.length === 1 && (
+                <ValueBox label="M ∈ [a, b]" value={`[${progress.intervals[0].a}, ${progress.intervals[0].b}]`} formula={`${progress.uncertaintyBits} bits unknown`} />
+              )}
+            </>
+          )}
+          {result && (
+            <div className="p-4 bg-green-900/20 border border-green-700 rounded-lg">
+              <p className="font-semibold text-green-400">
+                Recovered after {result.queries.toLocaleString()} oracle queries, {result.iterations} iterations, {(result.ms / 1000).toFixed(1)} s
+              </p>
+              <p className="font-mono text-cyan-300 mt-2">"{result.text}"</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+/**
+ * Line chart of the unknown bits of m0 (log₂ of the total interval width) against oracle queries.
+ */
+function IntervalChart({ points, totalBits }) {
+  const width = 400;
+  const height = 160;
+  const maxQueries = Math.max(1, ...points.map(({ queries }) => queries));
+  const polyline = points
+    .map(({ queries, bits }) => `${(queries / maxQueries) * width},${height - (bits / totalBits) * height}`)
+    .join(' ');
+
+  return (
+    <div className="p-3 bg-gray-900 rounded-lg border border-gray-700">
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>{totalBits} bits unknown</span>
+        <span>log₂(b − a)</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40" preserveAspectRatio="none">
+        <line x1="0" y1={height} x2={width} y2={height} stroke="#374151" />
+        <polyline points={polyline} fill="none" stroke="#22d3ee" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>0 queries</span>
+        <span>{maxQueries.toLocaleString()} queries</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Where the remaining intervals lie within the conforming range [2B, 3B).
+ * Tiny intervals are drawn at least 2px wide so they stay visible.
+ */
+function IntervalBar({ intervals, B }) {
+  const position = (value) => Number(((value - 2n * B) * 10000n) / B) / 100;
+
+  return (
+    <div>
+      <div className="relative h-4 bg-gray-800 rounded border border-gray-700 overflow-hidden">
+        {intervals.map(({ a, b }, i) => (
+          <div
+            key={i}
+            className="absolute top-0 bottom-0 bg-cyan-500"
+            style={{ left: `${position(a)}%`, width: `max(2px, ${position(b) - position(a)}%)` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>2B (00 02 00…)</span>
+        <span>{intervals.length} interval{intervals.length === 1 ? '' : 's'}</span>
+        <span>3B (00 03 00…)</span>
+      </div>
+    </div>
+  );
+}
+
+
+// Options for the bad-RNG key generator; keys are generated on the main thread, so keep them small
+const WEAK_KEY_SIZES = [256, 512];
+const WEAK_RNG_POOL_SIZES = [4, 8, 16, 64];
+const WEAK_KEY_MAX_COUNT = 50;
+const BATCH_GCD_EXPONENT = 65537n;
+
+/**
+ * Batch GCD scanner: finds moduli that share a prime factor among many public keys,
+ * reproducing "Mining Your Ps and Qs" with keys from a deliberately bad RNG.
+ */
+function BatchGcdScanner() {
+  const [input, setInput] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [keyCount, setKeyCount] = useState('20');
+  const [keySize, setKeySize] = useState(512);
+  const [poolSize, setPoolSize] = useState(8);
+  const [error, setError] = useState('');
+  const [scan, setScan] = useState(null); // { moduli, tree, results, ms }
+
+  const count = Number(keyCount);
+  const countError = Number.isInteger(count) && count >= 2 && count <= WEAK_KEY_MAX_COUNT
+    ? ''
+    : `Enter a whole number from 2 to ${WEAK_KEY_MAX_COUNT}.`;
+
+  const handleGenerate = () => {
+    const keys = generateWeakKeys(count, keySize, { poolSize, e: BATCH_GCD_EXPONENT });
+    setInput(keys.map(({ n, seed }) => `0x${n.toString(16)} # bad RNG seed ${seed}`).join('\n'));
+    setFileName('');
+    setError('');
+    setScan(null);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-selecting the same file
+    if (!file) return;
+    setFileName(file.name);
+    setInput(await file.text());
+    setScan(null);
+  };
+
+  const handleScan = () => {
+    let moduli;
+    try {
+      moduli = parseModulusList(input);
+    } catch (err) {
+      setError(err.message);
+      setScan(null);
+      return;
+    }
+    if (moduli.length < 2) {
+      setError('Batch GCD needs at least two moduli.');
+      setScan(null);
+      return;
+    }
+    setError('');
+    const start = performance.now();
+    const { tree, results } = findSharedFactors(moduli, BATCH_GCD_EXPONENT);
+    setScan({ moduli, tree, results, ms: performance.now() - start });
+  };
+
+  const vulnerable = scan ? scan.results.filter(({ status }) => status !== 'safe') : [];
+  const product = scan && scan.tree[scan.tree.length - 1][0];
+
+  return (
+    <Card>
+      <CardHeader
+        icon={<ListTree className="w-6 h-6" />}
+        title="Attack: Batch GCD Weak-Key Scanner"
+        subtitle="Two keys that share one prime are both broken by a single gcd. Batch GCD checks every pair at once."
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-6">
+        <div className="flex flex-col gap-4">
+          <TextArea
+            label="Public Moduli (one per line, decimal or 0x hex, # starts a comment)"
+            value={input}
+            onChange={(value) => { setInput(value); setScan(null); }}
+            placeholder="0xc0ffee..."
+            error={error}
+          />
+          <div className="flex gap-2">
+            <Button onClick={handleScan} disabled={!input.trim()} className="flex-1">
+              <Swords className="w-5 h-5" /> Run Batch GCD
+            </Button>
+            <label className="flex-1 flex items-center justify-center gap-2 p-3 font-semibold text-white bg-gray-700 rounded-lg cursor-pointer hover:bg-gray-600">
+              <FileUp className="w-5 h-5" /> Load File
+              <input type="file" accept=".txt,.csv" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          {fileName && <p className="text-xs text-gray-400">File: {fileName}</p>}
+
+          <div className="flex flex-col gap-3 p-3 bg-gray-800 rounded-lg border border-gray-700">
+            <p className="text-sm text-gray-400">
+              Simulate devices that generate p right after boot: the RNG starts from one of only a few seeds,
+              so devices that draw the same seed pick the same p. q is generated later, from real entropy.
+            </p>
+            <div className="grid grid-cols-3 gap-2">
+              <InputBox label="Keys (N)" value={keyCount} onChange={setKeyCount} error={countError} />
+              <SelectBox
+                label="Key Size"
+                value={keySize}
+                onChange={(val) => setKeySize(Number(val))}
+                options={WEAK_KEY_SIZES.map((bits) => ({ value: bits, label: `${bits}-bit` }))}
+              />
+              <SelectBox
+                label="Entropy Pool"
+                value={poolSize}
+                onChange={(val) => setPoolSize(Number(val))}
+                options={WEAK_RNG_POOL_SIZES.map((size) => ({ value: size, label: `${size} seeds` }))}
+              />
+            </div>
+            <Button onClick={handleGenerate} disabled={!!countError} className="w-full">
+              <Bug className="w-5 h-5" /> Generate {countError ? 'N' : count} Keys with a Bad RNG
+            </Button>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-4">
+          {!scan && (
+            <p className="text-sm text-gray-400">
+              The product tree multiplies all moduli into P; the remainder tree then reduces P modulo every nᵢ².
+              gcd(nᵢ, (P mod nᵢ²) / nᵢ) is a shared prime, or 1 if nᵢ shares nothing with the other keys.
+            </p>
+          )}
+          {scan && (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <ValueBox label="Moduli Scanned" value={scan.moduli.length} />
+                <ValueBox label="Vulnerable" value={`${vulnerable.length} of ${scan.moduli.length}`} />
+                <ValueBox label="Tree Levels" value={scan.tree.length} formula={scan.tree.map((level) => level.length).join(' → ')} />
+                <ValueBox label="Time" value={`${scan.ms.toFixed(1)} ms`} formula={`P has ${bitLength(product)} bits`} />
+              </div>
+              {vulnerable.length === 0 && (
+                <p className="p-4 bg-green-900/20 border border-green-700 rounded-lg text-green-400">
+                  No two moduli share a prime factor.
+                </p>
+              )}
+              <div className="flex flex-col gap-3 max-h-[32rem] overflow-y-auto pr-1">
+                {vulnerable.map(({ index, n, status, p, q, d, sharedWith }) => (
+                  <div key={index} className="p-3 bg-red-900/20 border border-red-700 rounded-lg flex flex-col gap-2">
+                    <p className="font-semibold text-red-400">
+                      Modulus #{index + 1} ({bitLength(n)} bits) {status === 'duplicate' ? 'is identical to' : 'shares a prime with'}{' '}
+                      {sharedWith.map((j) => `#${j + 1}`).join(', ')}
+                    </p>
+                    {status === 'factored' ? (
+                      <>
+                        <ValueBox label="p" value={p} />
+                        <ValueBox label="q = n / p" value={q} />
+                        <ValueBox
+                          label="Recovered d"
+                          value={d === null ? '—' : d}
+                          formula={d === null ? `gcd(e, φ(n)) ≠ 1 for e = ${BATCH_GCD_EXPONENT}` : `d = e⁻¹ mod φ(n), e = ${BATCH_GCD_EXPONENT}`}
+                        />
+                      </>
+                    ) : (
+                      <p className="text-sm text-gray-400">
+                        The same key was reused, so batch GCD returns n itself and cannot split it. The owners can read each other's messages.
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
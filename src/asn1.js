@@ -0,0 +1,271 @@
+import { bigIntToBytes, bytesToBigInt, concatBytes } from './rsa-math.js';
+
+// Universal tag numbers used by RSA key structures
+export const ASN1_TAGS = {
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OBJECT_IDENTIFIER: 0x06,
+  SEQUENCE: 0x30,
+};
+
+const TAG_NAMES = {
+  0x01: 'BOOLEAN',
+  0x02: 'INTEGER',
+  0x03: 'BIT STRING',
+  0x04: 'OCTET STRING',
+  0x05: 'NULL',
+  0x06: 'OBJECT IDENTIFIER',
+  0x0c: 'UTF8String',
+  0x13: 'PrintableString',
+  0x17: 'UTCTime',
+  0x30: 'SEQUENCE',
+  0x31: 'SET',
+};
+
+/**
+ * Error raised for malformed DER, carrying the byte offset where decoding failed.
+ */
+export class Asn1Error extends Error {
+  /**
+   * @param {string} message What went wrong.
+   * @param {number} offset Byte offset of the failing element or field.
+   */
+  constructor(message, offset) {
+    super(`${message} (at byte offset ${offset})`);
+    this.name = 'Asn1Error';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Human-readable name of an identifier octet, e.g. "SEQUENCE" or "[0]".
+ * @param {number} tag
+ * @returns {string}
+ */
+export const describeTag = (tag) => {
+  if (TAG_NAMES[tag]) return TAG_NAMES[tag];
+  const tagClass = tag >> 6;
+  const number = tag & 0x1f;
+  if (tagClass === 2) return `[${number}]`;
+  return `${['UNIVERSAL', 'APPLICATION', 'CONTEXT', 'PRIVATE'][tagClass]} ${number}`;
+};
+
+/**
+ * Encodes a DER length: short form below 128, long form otherwise.
+ * @param {number} length
+ * @returns {Uint8Array} The length octets.
+ */
+export const encodeLength = (length) => {
+  if (length < 0x80) return new Uint8Array([length]);
+  const bytes = bigIntToBytes(BigInt(length));
+  return concatBytes([[0x80 | bytes.length], bytes]);
+};
+
+/**
+ * Encodes a tag-length-value triple.
+ * @param {number} tag The identifier octet.
+ * @param {Uint8Array|Array<number>} content The content octets.
+ * @returns {Uint8Array} The DER encoding.
+ */
+export const encodeTlv = (tag, content) => concatBytes([[tag], encodeLength(content.length), content]);
+
+/**
+ * Encodes a non-negative BigInt as a DER INTEGER (minimal two's complement).
+ * @param {bigint} value
+ * @returns {Uint8Array}
+ */
+export const encodeInteger = (value) => {
+  const bytes = bigIntToBytes(value);
+  // Zero is a single 00 byte; a set high bit needs a leading 00 to stay positive
+  const content = bytes.length === 0 || bytes[0] & 0x80 ? concatBytes([[0x00], bytes]) : bytes;
+  return encodeTlv(ASN1_TAGS.INTEGER, content);
+};
+
+/**
+ * Encodes a DER SEQUENCE of already-encoded elements.
+ * @param {...Uint8Array} elements
+ * @returns {Uint8Array}
+ */
+export const encodeSequence = (...elements) => encodeTlv(ASN1_TAGS.SEQUENCE, concatBytes(elements));
+
+/**
+ * Encodes a DER NULL.
+ * @returns {Uint8Array}
+ */
+export const encodeNull = () => encodeTlv(ASN1_TAGS.NULL, []);
+
+/**
+ * Encodes a dotted OBJECT IDENTIFIER such as "1.2.840.113549.1.1.1".
+ * @param {string} oid
+ * @returns {Uint8Array}
+ */
+export const encodeObjectIdentifier = (oid) => {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const content = [40 * first + second];
+  for (const arc of rest) {
+    // Base-128, most significant group first, continuation bit on all but the last
+    const groups = [arc & 0x7f];
+    for (let value = arc >>> 7; value > 0; value >>>= 7) {
+      groups.unshift((value & 0x7f) | 0x80);
+    }
+    content.push(...groups);
+  }
+  return encodeTlv(ASN1_TAGS.OBJECT_IDENTIFIER, content);
+};
+
+/**
+ * Encodes a DER OCTET STRING.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export const encodeOctetString = (bytes) => encodeTlv(ASN1_TAGS.OCTET_STRING, bytes);
+
+/**
+ * Encodes a DER BIT STRING with no unused bits.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export const encodeBitString = (bytes) => encodeTlv(ASN1_TAGS.BIT_STRING, concatBytes([[0x00], bytes]));
+
+// Reads one element starting at offset, without reading past end
+const decodeElement = (bytes, offset, end) => {
+  if (offset >= end) {
+    throw new Asn1Error('Unexpected end of data while reading a tag', offset);
+  }
+  const tag = bytes[offset];
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Asn1Error(`High tag numbers are not supported (tag byte 0x${tag.toString(16)})`, offset);
+  }
+
+  const lengthOffset = offset + 1;
+  if (lengthOffset >= end) {
+    throw new Asn1Error('Unexpected end of data while reading a length', lengthOffset);
+  }
+  let length = bytes[lengthOffset];
+  let headerLength = 2;
+  if (length === 0x80) {
+    throw new Asn1Error('Indefinite length is not allowed in DER', lengthOffset);
+  }
+  if (length > 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes > 4) {
+      throw new Asn1Error(`Length field of ${lengthBytes} bytes is too large`, lengthOffset);
+    }
+    if (lengthOffset + lengthBytes >= end) {
+      throw new Asn1Error('Unexpected end of data inside a long-form length', lengthOffset);
+    }
+    length = 0;
+    for (let i = 1; i <= lengthBytes; i++) {
+      length = length * 256 + bytes[lengthOffset + i];
+    }
+    if (bytes[lengthOffset + 1] === 0 || length < 0x80) {
+      throw new Asn1Error('Length is not minimally encoded (DER requires the shortest form)', lengthOffset);
+    }
+    headerLength += lengthBytes;
+  }
+
+  const contentOffset = offset + headerLength;
+  if (contentOffset + length > end) {
+    throw new Asn1Error(`Length ${length} runs past the end of the enclosing data (${end - contentOffset} bytes available)`, lengthOffset);
+  }
+
+  const node = {
+    tag,
+    name: describeTag(tag),
+    constructed: (tag & 0x20) !== 0,
+    offset,
+    headerLength,
+    length,
+    value: bytes.subarray(contentOffset, contentOffset + length),
+    children: [],
+  };
+
+  if (node.constructed) {
+    for (let childOffset = contentOffset; childOffset < contentOffset + length;) {
+      const child = decodeElement(bytes, childOffset, contentOffset + length);
+      node.children.push(child);
+      childOffset = child.offset + child.headerLength + child.length;
+    }
+  } else if (tag === ASN1_TAGS.OCTET_STRING || (tag === ASN1_TAGS.BIT_STRING && node.value[0] === 0)) {
+    // OCTET and BIT STRINGs often wrap a whole DER structure (SPKI, PKCS#8): show it if it parses cleanly
+    const innerOffset = tag === ASN1_TAGS.BIT_STRING ? contentOffset + 1 : contentOffset;
+    try {
+      const inner = decodeElement(bytes, innerOffset, contentOffset + length);
+      if (inner.offset + inner.headerLength + inner.length === contentOffset + length && inner.constructed) {
+        node.encapsulated = inner;
+        node.children = [inner];
+      }
+    } catch {
+      // Plain string content, nothing nested
+    }
+  }
+
+  return node;
+};
+
+/**
+ * Decodes DER bytes into a tree of nodes with absolute byte offsets.
+ * Each node has { tag, name, constructed, offset, headerLength, length, value, children }
+ * and, for OCTET/BIT STRINGs that wrap DER, an `encapsulated` child.
+ * @param {Uint8Array} bytes
+ * @returns {object} The root node.
+ * @throws {Asn1Error} If the input is not a single well-formed DER element.
+ */
+export const decodeDer = (bytes) => {
+  const root = decodeElement(bytes, 0, bytes.length);
+  const end = root.headerLength + root.length;
+  if (end !== bytes.length) {
+    throw new Asn1Error(`${bytes.length - end} bytes of trailing data after the top-level element`, end);
+  }
+  return root;
+};
+
+/**
+ * Reads a DER INTEGER node as a non-negative BigInt.
+ * @param {object} node
+ * @returns {bigint}
+ * @throws {Asn1Error} If the node is not a valid non-negative INTEGER.
+ */
+export const readInteger = (node) => {
+  if (node.tag !== ASN1_TAGS.INTEGER) {
+    throw new Asn1Error(`Expected INTEGER, found ${node.name}`, node.offset);
+  }
+  if (node.length === 0) {
+    throw new Asn1Error('INTEGER has no content bytes', node.offset);
+  }
+  if (node.value[0] & 0x80) {
+    throw new Asn1Error('INTEGER is negative, key fields must be positive', node.offset + node.headerLength);
+  }
+  return bytesToBigInt(node.value);
+};
+
+/**
+ * Reads a DER OBJECT IDENTIFIER node as a dotted string.
+ * Subidentifiers are base-128 BigInts, so long arcs (e.g. 2.25 UUIDs) stay exact. The first
+ * one packs the first two arcs as 40·a + b, where b is unbounded when a = 2 (2.999 is 88 37).
+ * @param {object} node
+ * @returns {string}
+ * @throws {Asn1Error} If the node is not an OBJECT IDENTIFIER or its last subidentifier is cut off.
+ */
+export const readObjectIdentifier = (node) => {
+  if (node.tag !== ASN1_TAGS.OBJECT_IDENTIFIER || node.length === 0) {
+    throw new Asn1Error(`Expected OBJECT IDENTIFIER, found ${node.name}`, node.offset);
+  }
+  const values = [];
+  let value = 0n;
+  for (const byte of node.value) {
+    value = value * 128n + BigInt(byte & 0x7f);
+    if (!(byte & 0x80)) {
+      values.push(value);
+      value = 0n;
+    }
+  }
+  if (node.value[node.length - 1] & 0x80) {
+    throw new Asn1Error('OBJECT IDENTIFIER ends inside a subidentifier', node.offset + node.headerLength);
+  }
+  const [first, ...rest] = values;
+  const arcs = first < 80n ? [first / 40n, first % 40n] : [2n, first - 80n];
+  return [...arcs, ...rest].join('.');
+};
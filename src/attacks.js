@@ -0,0 +1,527 @@
+import {
+  bitLength,
+  crtCombine,
+  crtDecrypt,
+  extendedEuclidean,
+  gcd,
+  generatePrime,
+  generateRandomPrime,
+  getRandomBytes,
+  integerSqrt,
+  modInverse,
+  modPow,
+  nthRoot,
+  parseBigInt,
+  randomBigIntInRange,
+} from './rsa-math.js';
+
+// --- Wiener's Small Private Exponent Attack ---
+
+/**
+ * Expands num/den as a continued fraction [a0; a1, a2, ...] (Euclid's algorithm).
+ * @param {bigint} num
+ * @param {bigint} den
+ * @returns {bigint[]} The partial quotients.
+ */
+export const continuedFraction = (num, den) => {
+  const quotients = [];
+  while (den !== 0n) {
+    quotients.push(num / den);
+    [num, den] = [den, num % den];
+  }
+  return quotients;
+};
+
+/**
+ * Convergents h/k of a continued fraction: h_i = a_i·h_(i-1) + h_(i-2), likewise for k.
+ * @param {bigint[]} quotients
+ * @returns {Array<{numerator: bigint, denominator: bigint}>}
+ */
+export const convergents = (quotients) => {
+  const result = [];
+  let [h1, h2] = [1n, 0n];
+  let [k1, k2] = [0n, 1n];
+  for (const a of quotients) {
+    [h1, h2] = [a * h1 + h2, h1];
+    [k1, k2] = [a * k1 + k2, k1];
+    result.push({ numerator: h1, denominator: k1 });
+  }
+  return result;
+};
+
+/**
+ * True if d is below Wiener's bound n^(1/4) / 3, i.e. 81·d⁴ < n.
+ * @param {bigint} d
+ * @param {bigint} n
+ * @returns {boolean}
+ */
+export const isWienerVulnerable = (d, n) => 81n * d ** 4n < n;
+
+/**
+ * Wiener's attack. Since e·d − k·φ(n) = 1 and φ(n) ≈ n, k/d is a convergent of e/n
+ * when d < n^(1/4) / 3. Each convergent gives a candidate φ = (e·d − 1) / k;
+ * the right one makes x² − (n − φ + 1)x + n = 0 have the integer roots p and q.
+ * @param {bigint} e
+ * @param {bigint} n
+ * @returns {{quotients: bigint[], rows: Array<object>, key: {d: bigint, p: bigint, q: bigint, phi: bigint}|null}}
+ *   One row per convergent tested: { index, quotient, k, d, phi, sum, discriminant, root, status, note }
+ *   with status 'skip', 'fail' or 'success'. key is null if no convergent worked.
+ */
+export const wienerAttack = (e, n) => {
+  const quotients = continuedFraction(e, n);
+  const rows = [];
+
+  for (const [index, { numerator: k, denominator: d }] of convergents(quotients).entries()) {
+    const row = { index, quotient: quotients[index], k, d, phi: null, sum: null, discriminant: null, root: null };
+    rows.push(row);
+    if (k === 0n) {
+      Object.assign(row, { status: 'skip', note: 'k = 0, not a candidate' });
+      continue;
+    }
+    if ((e * d - 1n) % k !== 0n) {
+      Object.assign(row, { status: 'fail', note: 'k does not divide e·d − 1' });
+      continue;
+    }
+
+    row.phi = (e * d - 1n) / k;
+    row.sum = n - row.phi + 1n; // p + q
+    row.discriminant = row.sum * row.sum - 4n * n; // (p − q)²
+    if (row.discriminant < 0n) {
+      Object.assign(row, { status: 'fail', note: 'Discriminant is negative' });
+      continue;
+    }
+    row.root = integerSqrt(row.discriminant);
+    if (row.root * row.root !== row.discriminant || (row.sum + row.root) % 2n !== 0n) {
+      Object.assign(row, { status: 'fail', note: 'Discriminant is not a perfect square' });
+      continue;
+    }
+
+    const p = (row.sum + row.root) / 2n;
+    const q = (row.sum - row.root) / 2n;
+    if (p * q !== n || q <= 1n) {
+      Object.assign(row, { status: 'fail', note: 'Roots do not multiply to n' });
+      continue;
+    }
+    Object.assign(row, { status: 'success', note: `p = ${p}, q = ${q}` });
+    return { quotients, rows, key: { d, p, q, phi: row.phi } };
+  }
+
+  return { quotients, rows, key: null };
+};
+
+/**
+ * Generates p, q and e whose private exponent d is below Wiener's bound.
+ * p and q have the same bit length (so q < p < 2q) and d is drawn at random
+ * below n^(1/4) / 3, then e = d⁻¹ mod φ(n). Deriving d from e again gives the same tiny d.
+ * @param {number} [primeBits=32] Bit length of each prime; n^(1/4) / 3 must leave room for d.
+ * @param {(length: number) => Uint8Array} [randomBytes] Source of random bytes.
+ * @returns {{p: bigint, q: bigint, e: bigint, d: bigint}}
+ */
+export const generateWienerVulnerableKey = (primeBits = 32, randomBytes = getRandomBytes) => {
+  for (;;) {
+    const p = generatePrime(primeBits, { randomBytes });
+    const q = generatePrime(primeBits, { randomBytes });
+    if (p === q) continue;
+    const n = p * q;
+    const phi = (p - 1n) * (q - 1n);
+    const maxD = (integerSqrt(integerSqrt(n)) - 1n) / 3n; // 3·d < ⌊n^(1/4)⌋
+    if (maxD < 3n) {
+      throw new Error(`Primes of ${primeBits} bits are too small to fit a d below n^(1/4) / 3.`);
+    }
+    // φ(n) is even, so only odd d can be invertible
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const d = randomBigIntInRange(3n, maxD, randomBytes) | 1n;
+      if (d <= maxD && gcd(d, phi) === 1n) {
+        return { p, q, e: modInverse(d, phi), d };
+      }
+    }
+  }
+};
+
+// --- Håstad's Broadcast Attack ---
+
+/**
+ * Håstad's broadcast attack on textbook RSA: the same M encrypted under e pairwise
+ * coprime moduli with public exponent e. CRT yields M^e mod N with N = ∏ nᵢ; because
+ * M < nᵢ for every i, M^e < N, so that value is M^e itself and its exact e-th root is M.
+ * @param {bigint[]} ciphertexts Cᵢ = M^e mod nᵢ.
+ * @param {bigint[]} moduli The nᵢ.
+ * @param {number} e The shared public exponent (needs at least e ciphertexts).
+ * @returns {{modulus: bigint, terms: Array<object>, combined: bigint, root: bigint, isExact: boolean}}
+ *   The CRT terms (see crtCombine), the combined value x and its integer e-th root;
+ *   isExact is true when root^e = x, i.e. M was recovered.
+ */
+export const hastadBroadcast = (ciphertexts, moduli, e) => {
+  const { value, modulus, terms } = crtCombine(ciphertexts, moduli);
+  const root = nthRoot(value, e);
+  return { modulus, terms, combined: value, root, isExact: root ** BigInt(e) === value };
+};
+
+// --- Common Modulus Attack ---
+
+/**
+ * Common-modulus attack: the same M encrypted under one n with coprime exponents e1 and e2.
+ * Bezout gives a·e1 + b·e2 = 1, so C1^a · C2^b = M^(a·e1 + b·e2) = M (mod n).
+ * One of a and b is negative; C^(−k) is computed as (C⁻¹)^k with modInverse.
+ * @param {bigint} c1 M^e1 mod n.
+ * @param {bigint} c2 M^e2 mod n.
+ * @param {bigint} e1
+ * @param {bigint} e2
+ * @param {bigint} n
+ * @returns {{a: bigint, b: bigint, powers: Array<{label: string, base: bigint, exponent: bigint, inverse: bigint|null, value: bigint}>, message: bigint}}
+ *   powers holds C1^a and C2^b mod n; inverse is set when the exponent was negative.
+ * @throws {Error} If gcd(e1, e2) ≠ 1, or a ciphertext that needs inverting shares a factor with n.
+ */
+export const commonModulusAttack = (c1, c2, e1, e2, n) => {
+  const [g, a, b] = extendedEuclidean(e1, e2);
+  if (g !== 1n) {
+    throw new Error(`gcd(e1, e2) = ${g}: the attack needs coprime exponents.`);
+  }
+  const raise = (label, c, exponent) => {
+    if (exponent >= 0n) return { label, base: c, exponent, inverse: null, value: modPow(c, exponent, n) };
+    const inverse = modInverse(c, n);
+    if (inverse === null) {
+      throw new Error(`${label} shares the factor ${gcd(c, n)} with n, so it has no inverse mod n (though that factor alone breaks the key).`);
+    }
+    return { label, base: c, exponent, inverse, value: modPow(inverse, -exponent, n) };
+  };
+  const powers = [raise('C1', c1, a), raise('C2', c2, b)];
+  return { a, b, powers, message: (powers[0].value * powers[1].value) % n };
+};
+
+// --- Multiplicative Malleability (Chosen-Ciphertext Attack) ---
+
+/**
+ * Simulates a decryption service that holds d and decrypts any ciphertext except
+ * the one it protects.
+ * @param {bigint} d
+ * @param {bigint} n
+ * @param {bigint} protectedCiphertext The ciphertext the oracle refuses to decrypt.
+ * @returns {(c: bigint) => bigint} Returns c^d mod n.
+ * @throws {Error} From the returned function, when asked for the protected ciphertext.
+ */
+export const createDecryptionOracle = (d, n, protectedCiphertext) => (c) => {
+  if (c % n === protectedCiphertext % n) {
+    throw new Error('Oracle refuses: that is the protected ciphertext.');
+  }
+  return modPow(c, d, n);
+};
+
+/**
+ * Blinds a ciphertext with a factor s: C' = C · s^e mod n decrypts to M · s mod n,
+ * because (M · s)^e = M^e · s^e.
+ * @param {bigint} c
+ * @param {bigint} s The blinding factor, coprime with n.
+ * @param {bigint} e
+ * @param {bigint} n
+ * @returns {{sPow: bigint, blinded: bigint}} s^e mod n and C'.
+ */
+export const blindCiphertext = (c, s, e, n) => {
+  const sPow = modPow(s, e, n);
+  return { sPow, blinded: (c * sPow) % n };
+};
+
+/**
+ * Removes the blinding factor from the oracle's answer: M = M' · s⁻¹ mod n.
+ * @param {bigint} blindedMessage M' = M · s mod n.
+ * @param {bigint} s
+ * @param {bigint} n
+ * @returns {{sInverse: bigint, message: bigint}}
+ * @throws {Error} If s has no inverse mod n.
+ */
+export const unblindMessage = (blindedMessage, s, n) => {
+  const sInverse = modInverse(s, n);
+  if (sInverse === null) {
+    throw new Error(`s = ${s} shares the factor ${gcd(s, n)} with n and cannot be divided out.`);
+  }
+  return { sInverse, message: (blindedMessage * sInverse) % n };
+};
+
+// --- Bleichenbacher's PKCS#1 v1.5 Padding Oracle Attack ---
+
+// ⌈x / y⌉ for y > 0 (BigInt division truncates toward zero)
+const ceilDiv = (x, y) => (x >= 0n ? (x + y - 1n) / y : x / y);
+
+// Sorts intervals and merges the overlapping ones
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((x, y) => (x.a < y.a ? -1 : x.a > y.a ? 1 : 0));
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.a <= last.b + 1n) {
+      if (interval.b > last.b) last.b = interval.b;
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+/**
+ * Creates a local padding oracle, the only thing Bleichenbacher's attack needs from the victim:
+ * it decrypts a ciphertext with the private key and reveals just whether the result starts
+ * with 00 02, like a server answering "bad padding" with a distinct error.
+ * @param {{n: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {(c: bigint) => boolean} True if c decrypts to a PKCS#1 v1.5 conforming block.
+ */
+export const createPaddingOracle = (key) => {
+  const k = Math.ceil(bitLength(key.n) / 8);
+  const B = 1n << BigInt(8 * (k - 2));
+  return (c) => {
+    const m = crtDecrypt(c, key);
+    return m >= 2n * B && m < 3n * B;
+  };
+};
+
+/**
+ * Bleichenbacher's 1998 attack. Starting from a PKCS#1 v1.5 conforming ciphertext c0,
+ * it searches multipliers s whose blinded ciphertexts c0·s^e also pass the oracle; each hit
+ * proves 2B ≤ m0·s − r·n < 3B for some r and narrows the set of intervals holding m0
+ * until a single value is left.
+ * @param {bigint} c0 The target ciphertext (its plaintext must be conforming).
+ * @param {{n: bigint, e: bigint}} publicKey
+ * @param {(c: bigint) => boolean} oracle See createPaddingOracle.
+ * @param {object} [options]
+ * @param {(progress: object) => void} [options.onProgress] Receives
+ *   { step, iteration, queries, s, intervals: [{a, b}], uncertaintyBits } after each
+ *   narrowing and periodically while searching for s.
+ * @param {number} [options.maxQueries=10000000] Give up after this many oracle queries.
+ * @returns {{message: bigint, queries: number, iterations: number}} The padded plaintext m0.
+ * @throws {Error} If c0 is not conforming or maxQueries is exceeded.
+ */
+export const bleichenbacherAttack = (c0, { n, e }, oracle, { onProgress, maxQueries = 10000000 } = {}) => {
+  const k = Math.ceil(bitLength(n) / 8);
+  const B = 1n << BigInt(8 * (k - 2));
+  const twoB = 2n * B;
+  const threeB = 3n * B;
+
+  let queries = 0;
+  let iteration = 0;
+  let step = '2a';
+  let s = 0n;
+  let intervals = [{ a: twoB, b: threeB - 1n }];
+
+  const report = () => {
+    if (!onProgress) return;
+    const width = intervals.reduce((sum, { a, b }) => sum + b - a + 1n, 0n);
+    onProgress({ step, iteration, queries, s, intervals, uncertaintyBits: bitLength(width - 1n) });
+  };
+  const conforming = (candidate) => {
+    if (queries >= maxQueries) {
+      throw new Error(`Gave up after ${maxQueries.toLocaleString()} oracle queries.`);
+    }
+    queries++;
+    if (queries % 2000 === 0) report();
+    return oracle((c0 * modPow(candidate, e, n)) % n);
+  };
+
+  if (!oracle(c0)) {
+    throw new Error('The target ciphertext is not PKCS#1 v1.5 conforming.');
+  }
+  queries++;
+  report();
+
+  for (iteration = 1; ; iteration++) {
+    if (iteration === 1) {
+      // Step 2a: smallest s ≥ n / 3B that makes c0·s^e conforming
+      step = '2a';
+      for (s = ceilDiv(n, threeB); !conforming(s); s++);
+    } else if (intervals.length > 1) {
+      // Step 2b: several intervals left, keep scanning upwards
+      step = '2b';
+      for (s++; !conforming(s); s++);
+    } else {
+      // Step 2c: one interval [a, b], search s in ranges that roughly halve it
+      step = '2c';
+      const [{ a, b }] = intervals;
+      let found = false;
+      for (let r = ceilDiv(2n * (b * s - twoB), n); !found; r++) {
+        const high = ceilDiv(threeB + r * n, a);
+        for (let candidate = ceilDiv(twoB + r * n, b); candidate < high; candidate++) {
+          if (conforming(candidate)) {
+            s = candidate;
+            found = true;
+            break;
+          }
+        }
+      }
+    }
+
+    // Step 3: keep the parts of each interval consistent with 2B ≤ m0·s − r·n < 3B
+    const narrowed = [];
+    for (const { a, b } of intervals) {
+      const rHigh = (b * s - twoB) / n;
+      for (let r = ceilDiv(a * s - threeB + 1n, n); r <= rHigh; r++) {
+        const low = ceilDiv(twoB + r * n, s);
+        const high = (threeB - 1n + r * n) / s;
+        const next = { a: low > a ? low : a, b: high < b ? high : b };
+        if (next.a <= next.b) narrowed.push(next);
+      }
+    }
+    intervals = mergeIntervals(narrowed);
+    step = '3';
+    report();
+
+    // Step 4: a single value left is m0 (no initial blinding was needed, s0 = 1)
+    if (intervals.length === 1 && intervals[0].a === intervals[0].b) {
+      return { message: intervals[0].a, queries, iterations: iteration };
+    }
+  }
+};
+
+// --- Batch GCD ("Mining Your Ps and Qs") ---
+
+/**
+ * Parses a list of moduli, one per line, as decimal or 0x-prefixed hex.
+ * Blank lines and everything after a # are ignored.
+ * @param {string} text
+ * @returns {bigint[]} The moduli in input order.
+ * @throws {Error} Naming the first line that is not an integer greater than 1.
+ */
+export const parseModulusList = (text) => {
+  const moduli = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const value = line.replace(/#.*/, '').trim();
+    if (!value) return;
+    const n = parseBigInt(value);
+    if (n === null || n < 2n) {
+      throw new Error(`Line ${i + 1}: "${value}" is not an integer modulus (use decimal or 0x-prefixed hex).`);
+    }
+    moduli.push(n);
+  });
+  return moduli;
+};
+
+/**
+ * Builds a product tree: level 0 holds the inputs, each following level holds the
+ * products of adjacent pairs, and the last level holds the product of everything.
+ * @param {bigint[]} values
+ * @returns {bigint[][]} The levels, leaves first.
+ */
+export const productTree = (values) => {
+  const levels = [values];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? level[i] * level[i + 1] : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+/**
+ * Pushes the root of a product tree back down, reducing modulo the square of each node,
+ * so every leaf nᵢ ends up with P mod nᵢ² without ever dividing the huge product P directly.
+ * @param {bigint[][]} levels A product tree from productTree.
+ * @returns {bigint[]} P mod nᵢ² for each leaf.
+ */
+export const remainderTree = (levels) => {
+  let remainders = levels[levels.length - 1];
+  for (let depth = levels.length - 2; depth >= 0; depth--) {
+    remainders = levels[depth].map((value, i) => remainders[i >> 1] % (value * value));
+  }
+  return remainders;
+};
+
+/**
+ * Bernstein's batch GCD: gcd(nᵢ, P / nᵢ) for every modulus at once, where P is the product
+ * of all moduli. Since P mod nᵢ² = nᵢ · ((P / nᵢ) mod nᵢ), dividing the remainder by nᵢ gives
+ * (P / nᵢ) mod nᵢ, which has the same gcd with nᵢ.
+ * @param {bigint[]} moduli
+ * @returns {{tree: bigint[][], gcds: bigint[]}} The product tree and one gcd per modulus
+ *   (1 = no shared factor, nᵢ = both factors shared or a duplicate modulus).
+ */
+export const batchGcd = (moduli) => {
+  const tree = productTree(moduli);
+  const remainders = remainderTree(tree);
+  return { tree, gcds: moduli.map((n, i) => gcd(n, remainders[i] / n)) };
+};
+
+/**
+ * Runs batch GCD over a set of public moduli and rebuilds every private key it can.
+ * A gcd equal to the modulus itself means both primes appear elsewhere; those are split
+ * with pairwise gcds, and identical moduli (which batch GCD cannot split) are reported as duplicates.
+ * @param {bigint[]} moduli
+ * @param {bigint} [e=65537n] Public exponent used to derive d.
+ * @returns {{tree: bigint[][], results: Array<{index: number, n: bigint, status: 'safe'|'factored'|'duplicate',
+ *   p?: bigint, q?: bigint, d?: bigint|null, sharedWith: number[]}>}}
+ *   sharedWith lists the indexes of the other moduli that share a prime or are identical.
+ */
+export const findSharedFactors = (moduli, e = 65537n) => {
+  const { tree, gcds } = batchGcd(moduli);
+  const results = moduli.map((n, index) => {
+    let factor = gcds[index];
+    if (factor === 1n) return { index, n, status: 'safe', sharedWith: [] };
+
+    if (factor === n) {
+      factor = moduli
+        .map((other) => gcd(n, other))
+        .find((g) => g !== 1n && g !== n);
+    }
+    const duplicates = moduli.flatMap((other, j) => (j !== index && other === n ? [j] : []));
+    if (!factor) return { index, n, status: 'duplicate', sharedWith: duplicates };
+
+    const [p, q] = factor > n / factor ? [factor, n / factor] : [n / factor, factor];
+    const phi = (p - 1n) * (q - 1n);
+    const sharedWith = moduli.flatMap((other, j) => (
+      j !== index && (other === n || other % p === 0n || other % q === 0n) ? [j] : []
+    ));
+    return {
+      index,
+      n,
+      status: 'factored',
+      p,
+      q,
+      d: gcd(e, phi) === 1n ? modInverse(e, phi) : null,
+      sharedWith,
+    };
+  });
+  return { tree, results };
+};
+
+/**
+ * A deterministic byte source (mulberry32) standing in for a badly seeded RNG,
+ * like a device generating its key right after boot with almost no entropy.
+ * @param {number} seed 32-bit seed; equal seeds produce equal byte streams.
+ * @returns {(length: number) => Uint8Array} A drop-in replacement for getRandomBytes.
+ */
+export const createSeededRandomBytes = (seed) => {
+  let state = seed >>> 0;
+  return (length) => {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(state ^ (state >>> 15), state | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      bytes[i] = (t ^ (t >>> 14)) & 0xff;
+    }
+    return bytes;
+  };
+};
+
+/**
+ * Generates keys the way the flawed devices in "Mining Your Ps and Qs" (Heninger et al., 2012) did:
+ * p comes from generateRandomPrime seeded from a tiny entropy pool, so devices that drew the
+ * same seed pick the same p; q is generated after "more entropy arrived" and is unique.
+ * Moduli sharing p are exactly what batch GCD finds.
+ * @param {number} count Number of keys.
+ * @param {number} bits Modulus size.
+ * @param {object} [options]
+ * @param {number} [options.poolSize=8] Number of distinct seeds the bad RNG can start from.
+ * @param {bigint} [options.e=65537n]
+ * @returns {Array<{n: bigint, e: bigint, seed: number}>} The public keys and the seed each one drew.
+ */
+export const generateWeakKeys = (count, bits, { poolSize = 8, e = 65537n } = {}) => {
+  const pBits = Math.ceil(bits / 2);
+  const min = 3n << BigInt(pBits - 2);
+  const max = (1n << BigInt(pBits)) - 1n;
+  return Array.from({ length: count }, () => {
+    const seed = Number(randomBigIntInRange(0n, BigInt(poolSize - 1)));
+    const p = generateRandomPrime(min, max, createSeededRandomBytes(seed));
+    let q = generatePrime(bits - pBits, { e });
+    while (q === p) q = generatePrime(bits - pBits, { e });
+    return { n: p * q, e, seed };
+  });
+};
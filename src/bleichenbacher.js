@@ -0,0 +1,27 @@
+import { runWorker } from './run-worker.js';
+
+/**
+ * Starts Bleichenbacher's padding oracle attack in a dedicated Web Worker.
+ * @param {{n: bigint, e: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ *   The victim's key pair, used only by the local padding oracle inside the worker.
+ * @param {bigint} ciphertext The PKCS#1 v1.5 ciphertext to decrypt.
+ * @param {object} handlers
+ * @param {(progress: object) => void} [handlers.onProgress] Receives bleichenbacherAttack progress events.
+ * @param {(result: {message: bigint, queries: number, iterations: number}) => void} handlers.onDone
+ * @param {(message: string) => void} [handlers.onError] Receives an error message.
+ * @returns {() => void} A cancel function that terminates the worker.
+ */
+export const startBleichenbacherAttack = (key, ciphertext, { onProgress, onDone, onError }) => runWorker(
+  () => new Worker(new URL('./bleichenbacher.worker.js', import.meta.url), { type: 'module' }),
+  { key, ciphertext },
+  { onProgress, onDone, onError },
+  'Attack failed.',
+);
+
+// What each step of the attack is doing, for the progress display
+export const BLEICHENBACHER_STEPS = {
+  '2a': 'Step 2a: searching the first s ≥ n/3B with a conforming c0·sᵉ',
+  '2b': 'Step 2b: several intervals left, scanning s upwards',
+  '2c': 'Step 2c: one interval left, searching s in narrow ranges',
+  '3': 'Step 3: narrowing the intervals with the new s',
+};
@@ -0,0 +1,21 @@
+import { bleichenbacherAttack, createPaddingOracle } from './attacks.js';
+
+/**
+ * Web Worker that runs Bleichenbacher's attack off the main thread.
+ * Expects { key, ciphertext }. The private key only ever reaches the local
+ * padding oracle; the attack itself sees n, e, the ciphertext and oracle answers.
+ * Replies with { type: 'progress', progress } messages followed by
+ * { type: 'done', result } or { type: 'error', message }.
+ */
+self.onmessage = (event) => {
+  const { key, ciphertext } = event.data;
+  try {
+    const oracle = createPaddingOracle(key);
+    const result = bleichenbacherAttack(ciphertext, { n: key.n, e: key.e }, oracle, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,44 @@
+import { SHA256_LENGTH } from './rsa-math.js';
+
+// Splits a PKCS#1 v1.5 type-2 block into its labeled segments
+export function pkcs1v15Layout(em, messageLength) {
+  const bytes = Array.from(em);
+  const separator = bytes.length - messageLength - 1;
+  return [
+    { label: '00', bytes: bytes.slice(0, 1), tone: 'header' },
+    { label: '02 (block type)', bytes: bytes.slice(1, 2), tone: 'header' },
+    { label: 'PS (random, nonzero)', bytes: bytes.slice(2, separator), tone: 'padding' },
+    { label: '00 (separator)', bytes: bytes.slice(separator, separator + 1), tone: 'separator' },
+    { label: 'M (message)', bytes: bytes.slice(separator + 1), tone: 'message' },
+  ];
+}
+
+// Splits an OAEP encoded message into 00 ‖ maskedSeed ‖ maskedDB
+export function oaepLayout(em) {
+  const bytes = Array.from(em);
+  return [
+    { label: '00', bytes: bytes.slice(0, 1), tone: 'header' },
+    { label: 'maskedSeed', bytes: bytes.slice(1, 1 + SHA256_LENGTH), tone: 'seed' },
+    { label: 'maskedDB', bytes: bytes.slice(1 + SHA256_LENGTH), tone: 'message' },
+  ];
+}
+
+// Formats bytes as space-separated hex
+export function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Saves text or bytes as a file through a temporary download link
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Formats a single BigInt or a list of block values for display
+export function formatValue(value) {
+  return Array.isArray(value) ? `[${value.join(', ')}]` : value.toString();
+}
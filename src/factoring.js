@@ -0,0 +1,19 @@
+import { runWorker } from './run-worker.js';
+
+/**
+ * Factors n with trial division, Fermat's method and Pollard's rho in a dedicated Web Worker,
+ * so a modulus that exhausts every method's iteration limit doesn't freeze the page.
+ * @param {bigint} n The modulus to factor.
+ * @param {object} handlers
+ * @param {(progress: {method: string}) => void} [handlers.onProgress] Called as each method ('trial', 'fermat' or 'rho') starts.
+ * @param {(runs: Record<string, {factor: bigint|null, iterations: number, steps: Array<string>, ms: number}>) => void} handlers.onDone
+ *   Receives every method's result, keyed by method.
+ * @param {(message: string) => void} [handlers.onError] Receives an error message.
+ * @returns {() => void} A cancel function that terminates the worker.
+ */
+export const startFactoring = (n, { onProgress, onDone, onError }) => runWorker(
+  () => new Worker(new URL('./factoring.worker.js', import.meta.url), { type: 'module' }),
+  { n },
+  { onProgress, onDone, onError },
+  'Factoring failed.',
+);
@@ -0,0 +1,22 @@
+import { trialDivision, fermatFactor, pollardRhoBrent } from './rsa-math.js';
+
+const METHODS = { trial: trialDivision, fermat: fermatFactor, rho: pollardRhoBrent };
+
+/**
+ * Web Worker that runs the factoring methods off the main thread, one after another.
+ * Expects { n } and replies with a { type: 'progress', progress: { method } } message as
+ * each method starts, followed by { type: 'done', result } or { type: 'error', message }.
+ */
+self.onmessage = (event) => {
+  const { n } = event.data;
+  try {
+    const runs = {};
+    for (const [method, run] of Object.entries(METHODS)) {
+      self.postMessage({ type: 'progress', progress: { method } });
+      runs[method] = run(n);
+    }
+    self.postMessage({ type: 'done', result: runs });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
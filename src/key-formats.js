@@ -0,0 +1,356 @@
+import {
+  ASN1_TAGS,
+  Asn1Error,
+  decodeDer,
+  encodeBitString,
+  encodeInteger,
+  encodeNull,
+  encodeObjectIdentifier,
+  encodeOctetString,
+  encodeSequence,
+  readInteger,
+  readObjectIdentifier,
+} from './asn1.js';
+import { bigIntToBytes, bytesToBigInt, deriveCrtParams } from './rsa-math.js';
+
+// rsaEncryption (PKCS#1), used in the AlgorithmIdentifier of SPKI and PKCS#8
+export const RSA_ENCRYPTION_OID = '1.2.840.113549.1.1.1';
+
+const rsaAlgorithmIdentifier = () => encodeSequence(encodeObjectIdentifier(RSA_ENCRYPTION_OID), encodeNull());
+
+/**
+ * PKCS#1 RSAPublicKey ::= SEQUENCE { modulus, publicExponent }
+ * @param {{n: bigint, e: bigint}} key
+ * @returns {Uint8Array} The DER encoding.
+ */
+export const encodeRsaPublicKey = ({ n, e }) => encodeSequence(encodeInteger(n), encodeInteger(e));
+
+/**
+ * PKCS#1 RSAPrivateKey ::= SEQUENCE { version, n, e, d, p, q, dp, dq, qInv }
+ * @param {{n: bigint, e: bigint, d: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {Uint8Array} The DER encoding.
+ */
+export const encodeRsaPrivateKey = ({ n, e, d, p, q, dp, dq, qInv }) => encodeSequence(
+  encodeInteger(0n), // version: two-prime
+  ...[n, e, d, p, q, dp, dq, qInv].map(encodeInteger),
+);
+
+/**
+ * X.509 SubjectPublicKeyInfo ::= SEQUENCE { algorithm, subjectPublicKey BIT STRING }
+ * @param {{n: bigint, e: bigint}} key
+ * @returns {Uint8Array} The DER encoding.
+ */
+export const encodeSpki = (key) => encodeSequence(rsaAlgorithmIdentifier(), encodeBitString(encodeRsaPublicKey(key)));
+
+/**
+ * PKCS#8 PrivateKeyInfo ::= SEQUENCE { version, privateKeyAlgorithm, privateKey OCTET STRING }
+ * @param {{n: bigint, e: bigint, d: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {Uint8Array} The DER encoding.
+ */
+export const encodePkcs8 = (key) => encodeSequence(
+  encodeInteger(0n),
+  rsaAlgorithmIdentifier(),
+  encodeOctetString(encodeRsaPrivateKey(key)),
+);
+
+/**
+ * Wraps DER bytes in PEM armor (base64, 64 characters per line).
+ * @param {Uint8Array} der
+ * @param {string} label e.g. "PUBLIC KEY"
+ * @returns {string} The PEM text.
+ */
+export const toPem = (der, label) => {
+  let binary = '';
+  for (const byte of der) binary += String.fromCharCode(byte);
+  const lines = btoa(binary).match(/.{1,64}/g) ?? [];
+  return [`-----BEGIN ${label}-----`, ...lines, `-----END ${label}-----`, ''].join('\n');
+};
+
+// Export formats offered for a key pair
+export const KEY_FORMATS = [
+  { id: 'spki', label: 'Public key (SPKI)', pemLabel: 'PUBLIC KEY', isPrivate: false, encode: encodeSpki },
+  { id: 'pkcs1-public', label: 'Public key (PKCS#1 RSAPublicKey)', pemLabel: 'RSA PUBLIC KEY', isPrivate: false, encode: encodeRsaPublicKey },
+  { id: 'pkcs8', label: 'Private key (PKCS#8)', pemLabel: 'PRIVATE KEY', isPrivate: true, encode: encodePkcs8 },
+  { id: 'pkcs1-private', label: 'Private key (PKCS#1 RSAPrivateKey)', pemLabel: 'RSA PRIVATE KEY', isPrivate: true, encode: encodeRsaPrivateKey },
+];
+
+// Field names of the PKCS#1 structures, shown in the ASN.1 tree
+const PUBLIC_KEY_FIELDS = ['modulus (n)', 'publicExponent (e)'];
+const PRIVATE_KEY_FIELDS = [
+  'version', 'modulus (n)', 'publicExponent (e)', 'privateExponent (d)', 'prime1 (p)',
+  'prime2 (q)', 'exponent1 (dp)', 'exponent2 (dq)', 'coefficient (qInv)',
+];
+
+const expectTag = (node, tag, what) => {
+  if (!node || node.tag !== tag) {
+    throw new Asn1Error(`Expected ${what}`, node ? node.offset : 0);
+  }
+};
+
+const labelFields = (node, names) => {
+  node.children.forEach((child, i) => {
+    child.field = names[i];
+  });
+};
+
+const checkRsaAlgorithm = (algorithm) => {
+  expectTag(algorithm, ASN1_TAGS.SEQUENCE, 'an AlgorithmIdentifier SEQUENCE');
+  const oid = readObjectIdentifier(algorithm.children[0] ?? algorithm);
+  if (oid !== RSA_ENCRYPTION_OID) {
+    throw new Asn1Error(`Unsupported algorithm ${oid}, expected rsaEncryption (${RSA_ENCRYPTION_OID})`, algorithm.children[0].offset);
+  }
+  algorithm.children[0].field = 'algorithm (rsaEncryption)';
+};
+
+const decodeRsaPublicKey = (node) => {
+  expectTag(node, ASN1_TAGS.SEQUENCE, 'an RSAPublicKey SEQUENCE');
+  if (node.children.length !== 2) {
+    throw new Asn1Error(`RSAPublicKey must have 2 fields, found ${node.children.length}`, node.offset);
+  }
+  labelFields(node, PUBLIC_KEY_FIELDS);
+  const [n, e] = node.children.map(readInteger);
+  return { n, e };
+};
+
+const decodeRsaPrivateKey = (node) => {
+  expectTag(node, ASN1_TAGS.SEQUENCE, 'an RSAPrivateKey SEQUENCE');
+  if (node.children.length !== 9) {
+    throw new Asn1Error(`RSAPrivateKey must have 9 fields (multi-prime keys are not supported), found ${node.children.length}`, node.offset);
+  }
+  labelFields(node, PRIVATE_KEY_FIELDS);
+  const [version, n, e, d, p, q, dp, dq, qInv] = node.children.map(readInteger);
+  if (version !== 0n) {
+    throw new Asn1Error(`Unsupported RSAPrivateKey version ${version}`, node.children[0].offset);
+  }
+  if (p * q !== n) {
+    throw new Asn1Error('Inconsistent private key: p · q does not equal n', node.children[4].offset);
+  }
+  const expected = deriveCrtParams(p, q, d);
+  if (dp !== expected.dp || dq !== expected.dq || qInv !== expected.qInv) {
+    throw new Asn1Error('Inconsistent private key: CRT fields do not match p, q and d', node.children[6].offset);
+  }
+  return { n, e, d, p, q, dp, dq, qInv };
+};
+
+/**
+ * Decodes an RSA key in any supported DER structure, detected from its shape:
+ * PKCS#1 RSAPublicKey / RSAPrivateKey, SPKI or PKCS#8.
+ * @param {Uint8Array} der
+ * @returns {{format: string, key: object, tree: object}} The format id (see KEY_FORMATS),
+ *   the key components (n, e and, for private keys, d, p, q, dp, dq, qInv) and the ASN.1 tree.
+ * @throws {Asn1Error} If the structure is malformed or not an RSA key.
+ */
+export const decodeRsaKey = (der) => {
+  const tree = decodeDer(der);
+  expectTag(tree, ASN1_TAGS.SEQUENCE, 'a SEQUENCE at the top level');
+  const [first, second, third] = tree.children;
+
+  if (first?.tag === ASN1_TAGS.SEQUENCE && second?.tag === ASN1_TAGS.BIT_STRING) {
+    checkRsaAlgorithm(first);
+    if (!second.encapsulated) {
+      throw new Asn1Error('subjectPublicKey does not contain a DER RSAPublicKey', second.offset);
+    }
+    second.field = 'subjectPublicKey';
+    return { format: 'spki', key: decodeRsaPublicKey(second.encapsulated), tree };
+  }
+
+  if (first?.tag === ASN1_TAGS.INTEGER && tree.children.length === 2) {
+    return { format: 'pkcs1-public', key: decodeRsaPublicKey(tree), tree };
+  }
+
+  if (first?.tag === ASN1_TAGS.INTEGER && second?.tag === ASN1_TAGS.SEQUENCE && third?.tag === ASN1_TAGS.OCTET_STRING) {
+    first.field = 'version';
+    checkRsaAlgorithm(second);
+    if (!third.encapsulated) {
+      throw new Asn1Error('privateKey does not contain a DER RSAPrivateKey', third.offset);
+    }
+    third.field = 'privateKey';
+    return { format: 'pkcs8', key: decodeRsaPrivateKey(third.encapsulated), tree };
+  }
+
+  if (first?.tag === ASN1_TAGS.INTEGER) {
+    return { format: 'pkcs1-private', key: decodeRsaPrivateKey(tree), tree };
+  }
+
+  throw new Asn1Error('Not an RSA key: expected PKCS#1, SPKI or PKCS#8 structure', tree.offset);
+};
+
+// Decodes base64 text, pointing at the first invalid character
+const decodeBase64 = (text, startOffset = 0) => {
+  const invalid = text.search(/[^A-Za-z0-9+/=\s]/);
+  if (invalid !== -1) {
+    throw new Error(`Invalid base64 character "${text[invalid]}" at character offset ${startOffset + invalid}`);
+  }
+  const clean = text.replace(/\s+/g, '');
+  let binary;
+  try {
+    binary = atob(clean);
+  } catch {
+    throw new Error(`Invalid base64 length or padding (${clean.length} characters)`);
+  }
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Extracts the label and DER bytes from PEM text.
+ * @param {string} text
+ * @returns {{label: string, der: Uint8Array}}
+ * @throws {Error} If the armor or base64 body is malformed.
+ */
+export const parsePem = (text) => {
+  const begin = /-----BEGIN ([A-Z0-9 ]+)-----/.exec(text);
+  if (!begin) {
+    throw new Error('No "-----BEGIN ...-----" line found');
+  }
+  const label = begin[1];
+  const bodyStart = begin.index + begin[0].length;
+  const endMarker = `-----END ${label}-----`;
+  const end = text.indexOf(endMarker, bodyStart);
+  if (end === -1) {
+    throw new Error(`Missing "${endMarker}" line`);
+  }
+  return { label, der: decodeBase64(text.slice(bodyStart, end), bodyStart) };
+};
+
+// --- JSON Web Key (RFC 7517, RSA members from RFC 7518 section 6.3) ---
+
+// Export formats for JWK, alongside the DER-based KEY_FORMATS
+export const JWK_FORMATS = [
+  { id: 'jwk-public', label: 'Public key (JWK)', isPrivate: false },
+  { id: 'jwk-private', label: 'Private key (JWK)', isPrivate: true },
+];
+
+/**
+ * Encodes a non-negative BigInt as unpadded base64url of its big-endian bytes.
+ * @param {bigint} value
+ * @returns {string}
+ */
+export const bigIntToBase64Url = (value) => {
+  let binary = '';
+  for (const byte of bigIntToBytes(value)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes unpadded base64url into a BigInt.
+ * @param {string} text
+ * @param {string} member JWK member name, for error messages.
+ * @returns {bigint}
+ * @throws {Error} If the text is not valid base64url.
+ */
+export const base64UrlToBigInt = (text, member) => {
+  if (typeof text !== 'string' || text === '') {
+    throw new Error(`JWK member "${member}" is missing or not a string`);
+  }
+  const invalid = text.search(/[^A-Za-z0-9_-]/);
+  if (invalid !== -1) {
+    throw new Error(`JWK member "${member}" has invalid base64url character "${text[invalid]}" at offset ${invalid}`);
+  }
+  if (text.length % 4 === 1) {
+    throw new Error(`JWK member "${member}" has an impossible base64url length (${text.length})`);
+  }
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return bytesToBigInt(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+/**
+ * Serializes a key pair as a JWK. Private JWKs carry d and the CRT members (qi = qInv).
+ * @param {{n: bigint, e: bigint, d?: bigint, p?: bigint, q?: bigint, dp?: bigint, dq?: bigint, qInv?: bigint}} key
+ * @param {boolean} [includePrivate=false]
+ * @returns {object} The JWK object, ready for JSON.stringify or crypto.subtle.importKey.
+ */
+export const toJwk = (key, includePrivate = false) => {
+  const jwk = { kty: 'RSA', n: bigIntToBase64Url(key.n), e: bigIntToBase64Url(key.e) };
+  if (!includePrivate) return jwk;
+  return {
+    ...jwk,
+    d: bigIntToBase64Url(key.d),
+    p: bigIntToBase64Url(key.p),
+    q: bigIntToBase64Url(key.q),
+    dp: bigIntToBase64Url(key.dp),
+    dq: bigIntToBase64Url(key.dq),
+    qi: bigIntToBase64Url(key.qInv),
+  };
+};
+
+/**
+ * Parses an RSA JWK. Missing CRT members are derived from p, q and d.
+ * @param {object} jwk
+ * @returns {{n: bigint, e: bigint, d?: bigint, p?: bigint, q?: bigint, dp?: bigint, dq?: bigint, qInv?: bigint}}
+ * @throws {Error} Naming the offending member.
+ */
+export const fromJwk = (jwk) => {
+  if (jwk?.kty !== 'RSA') {
+    throw new Error(`JWK "kty" is ${JSON.stringify(jwk?.kty)}, expected "RSA"`);
+  }
+  const n = base64UrlToBigInt(jwk.n, 'n');
+  const e = base64UrlToBigInt(jwk.e, 'e');
+  if (jwk.d === undefined) return { n, e };
+
+  if (jwk.oth) {
+    throw new Error('Multi-prime JWKs ("oth") are not supported');
+  }
+  if (jwk.p === undefined || jwk.q === undefined) {
+    throw new Error('Private JWK without "p" and "q" is not supported');
+  }
+  const d = base64UrlToBigInt(jwk.d, 'd');
+  const p = base64UrlToBigInt(jwk.p, 'p');
+  const q = base64UrlToBigInt(jwk.q, 'q');
+  if (p * q !== n) {
+    throw new Error('Inconsistent JWK: p · q does not equal n');
+  }
+  const expected = deriveCrtParams(p, q, d);
+  const read = (member, value) => (jwk[member] === undefined ? value : base64UrlToBigInt(jwk[member], member));
+  const key = { n, e, d, p, q, dp: read('dp', expected.dp), dq: read('dq', expected.dq), qInv: read('qi', expected.qInv) };
+  for (const [member, field] of [['dp', 'dp'], ['dq', 'dq'], ['qi', 'qInv']]) {
+    if (key[field] !== expected[field]) {
+      throw new Error(`Inconsistent JWK: "${member}" does not match p, q and d`);
+    }
+  }
+  return key;
+};
+
+/**
+ * Imports a key from pasted text (PEM, JWK JSON, base64 DER or hex DER) or raw file bytes.
+ * @param {string|Uint8Array} input
+ * @returns {{format: string, key: object, tree?: object, der?: Uint8Array}} See decodeRsaKey.
+ *   JWK input has no ASN.1 tree or DER bytes.
+ * @throws {Error|Asn1Error} With the failing character or byte offset.
+ */
+export const importRsaKey = (input) => {
+  let der;
+  const text = typeof input === 'string' ? input : new TextDecoder().decode(input);
+  if (text.trimStart().startsWith('{')) {
+    let jwk;
+    try {
+      jwk = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JWK JSON: ${err.message}`);
+    }
+    const key = fromJwk(jwk);
+    return { format: key.d === undefined ? 'jwk-public' : 'jwk-private', key };
+  }
+
+  if (typeof input !== 'string') {
+    // A binary file may still hold PEM text
+    der = text.includes('-----BEGIN') ? parsePem(text).der : input;
+  } else if (input.includes('-----BEGIN')) {
+    const pem = parsePem(input);
+    if (!KEY_FORMATS.some(({ pemLabel }) => pemLabel === pem.label)) {
+      throw new Error(`Unsupported PEM label "${pem.label}"`);
+    }
+    der = pem.der;
+  } else if (/^[\s0-9a-fA-F:]+$/.test(input)) {
+    const hex = input.replace(/[\s:]/g, '');
+    if (hex.length % 2 !== 0) {
+      throw new Error(`Hex input has an odd number of digits (${hex.length})`);
+    }
+    der = Uint8Array.from(hex.match(/../g) ?? [], (pair) => parseInt(pair, 16));
+  } else {
+    der = decodeBase64(input);
+  }
+  if (der.length === 0) {
+    throw new Error('No key data found');
+  }
+  return { ...decodeRsaKey(der), der };
+};
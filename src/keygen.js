@@ -0,0 +1,30 @@
+import { runWorker } from './run-worker.js';
+
+/**
+ * Starts RSA key generation in a dedicated Web Worker.
+ * @param {number} bits Modulus size in bits.
+ * @param {object} handlers
+ * @param {bigint} [handlers.e=65537n] Public exponent.
+ * @param {(progress: object) => void} [handlers.onProgress] Receives generateKeyPair progress events.
+ * @param {(key: object) => void} handlers.onDone Receives the generated key components.
+ * @param {(message: string) => void} [handlers.onError] Receives an error message.
+ * @returns {() => void} A cancel function that terminates the worker.
+ */
+export const startKeyGeneration = (bits, { e = 65537n, onProgress, onDone, onError }) => runWorker(
+  () => new Worker(new URL('./keygen.worker.js', import.meta.url), { type: 'module' }),
+  { bits, e },
+  { onProgress, onDone, onError },
+  'Key generation failed.',
+);
+
+/**
+ * Formats a generateKeyPair progress event for display.
+ * @param {{stage: string, candidates: number, roundsPassed: number, totalRounds: number}|null} progress
+ * @returns {string} A short human-readable status line.
+ */
+export const describeKeyGenProgress = (progress) => {
+  if (!progress) return 'Starting...';
+  if (progress.stage === 'derive') return 'Deriving n, φ(n) and d...';
+  const rounds = progress.totalRounds ? `, ${progress.roundsPassed}/${progress.totalRounds} rounds` : '';
+  return `Finding ${progress.stage}: ${progress.candidates} candidates tested${rounds}`;
+};
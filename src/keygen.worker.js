@@ -0,0 +1,21 @@
+import { generateKeyPair } from './rsa-math.js';
+
+/**
+ * Web Worker that runs prime search and key derivation off the main thread.
+ * Expects a message of the form { bits, e } and replies with a stream of
+ * { type: 'progress', progress } messages followed by either
+ * { type: 'done', result } or { type: 'error', message }.
+ * BigInts survive structured cloning, so the key is posted as-is.
+ */
+self.onmessage = (event) => {
+  const { bits, e } = event.data;
+  try {
+    const key = generateKeyPair(bits, {
+      e,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'done', result: key });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,147 @@
+import { bitLength } from './rsa-math.js';
+
+const DB_NAME = 'rsa-visualizer';
+const DB_VERSION = 1;
+const STORE = 'keyring';
+export const PBKDF2_ITERATIONS = 600000;
+
+// Private key fields; with a passphrase they are stored only inside the AES-GCM ciphertext
+const PRIVATE_FIELDS = ['d', 'p', 'q', 'dp', 'dq', 'qInv'];
+
+// Wraps an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs fn(store) in a transaction and resolves with its result once the transaction commits
+const withStore = async (mode, fn) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([fn(transaction.objectStore(STORE)), committed]);
+  return result;
+};
+
+// Derives an AES-GCM key from a passphrase with PBKDF2-SHA-256
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+};
+
+/**
+ * Lists the saved keys, oldest first. Encrypted private parts stay encrypted.
+ * @returns {Promise<Array<{id: number, name: string, createdAt: number, bits: number, n: string, e: string,
+ *   hasPrivateKey: boolean, isEncrypted: boolean}>>} Metadata for each saved key.
+ */
+export const listKeys = async () => {
+  const records = await withStore('readonly', (store) => promisify(store.getAll()));
+  return records.map(({ id, name, createdAt, bits, n, e, privateKey, encryptedPrivateKey }) => ({
+    id,
+    name,
+    createdAt,
+    bits,
+    n,
+    e,
+    hasPrivateKey: Boolean(privateKey || encryptedPrivateKey),
+    isEncrypted: Boolean(encryptedPrivateKey),
+  }));
+};
+
+/**
+ * Saves a key pair under a name. BigInts are stored as decimal strings.
+ * With a passphrase, d, p, q and the CRT fields are encrypted with AES-256-GCM under a
+ * PBKDF2-SHA-256 key (random 16-byte salt, 12-byte IV); n and e stay readable.
+ * @param {string} name
+ * @param {{n: bigint, e: bigint, d?: bigint, p?: bigint, q?: bigint, dp?: bigint, dq?: bigint, qInv?: bigint}} key
+ * @param {object} [options]
+ * @param {string} [options.passphrase] Encrypts the private fields at rest if non-empty.
+ * @returns {Promise<number>} The id of the new record.
+ */
+export const saveKey = async (name, key, { passphrase } = {}) => {
+  const record = { name, createdAt: Date.now(), bits: bitLength(key.n), n: key.n.toString(), e: key.e.toString() };
+
+  if (key.d !== undefined && key.d !== null) {
+    const privateKey = Object.fromEntries(
+      PRIVATE_FIELDS.filter((field) => key[field] !== undefined).map((field) => [field, key[field].toString()]),
+    );
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+      const plaintext = new TextEncoder().encode(JSON.stringify(privateKey));
+      const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, plaintext));
+      record.encryptedPrivateKey = { salt, iv, iterations: PBKDF2_ITERATIONS, ciphertext };
+    } else {
+      record.privateKey = privateKey;
+    }
+  }
+
+  return withStore('readwrite', (store) => promisify(store.add(record)));
+};
+
+/**
+ * Loads a saved key, decrypting its private fields if they were stored with a passphrase.
+ * @param {number} id
+ * @param {object} [options]
+ * @param {string} [options.passphrase] Required for encrypted keys.
+ * @returns {Promise<{n: bigint, e: bigint, d?: bigint, p?: bigint, q?: bigint, dp?: bigint, dq?: bigint, qInv?: bigint}>}
+ * @throws {Error} If the key does not exist, the passphrase is missing or wrong.
+ */
+export const loadKey = async (id, { passphrase } = {}) => {
+  const record = await withStore('readonly', (store) => promisify(store.get(id)));
+  if (!record) throw new Error('This key no longer exists.');
+
+  let privateKey = record.privateKey;
+  if (record.encryptedPrivateKey) {
+    if (!passphrase) throw new Error('This private key is encrypted. Enter its passphrase.');
+    const { salt, iv, iterations, ciphertext } = record.encryptedPrivateKey;
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, iterations);
+    try {
+      const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrappingKey, ciphertext);
+      privateKey = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch {
+      // AES-GCM authentication fails for a wrong passphrase as well as for tampered data
+      throw new Error('Wrong passphrase (or the stored key was modified).');
+    }
+  }
+
+  const fields = { n: record.n, e: record.e, ...privateKey };
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, BigInt(value)]));
+};
+
+/**
+ * Deletes a saved key.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const deleteKey = (id) => withStore('readwrite', (store) => promisify(store.delete(id)));
@@ -0,0 +1,114 @@
+import { deriveCrtParams, gcd, isPrime, modInverse, parseBigInt } from './rsa-math.js';
+
+export const PERMALINK_MODES = ['visualizer', 'encryptor', 'signer', 'attacks', 'practice'];
+const PADDINGS = ['none', 'pkcs1', 'oaep'];
+const STAGES = ['keygen', 'encrypt', 'decrypt'];
+const MAX_PLAINTEXT_LENGTH = 2000;
+const MAX_STEP = 100000;
+
+// Reads an integer parameter; absent parameters are undefined, malformed ones throw
+const readBigInt = (params, name) => {
+  if (!params.has(name)) return undefined;
+  const value = parseBigInt(params.get(name));
+  if (value === null || value < 0n) {
+    throw new Error(`"${name}" must be a non-negative integer.`);
+  }
+  return value;
+};
+
+// Checks p, q and e the same way the key generation form does
+const validateKeyParts = (p, q, e) => {
+  if (!isPrime(p)) throw new Error(`p = ${p} is not prime.`);
+  if (!isPrime(q)) throw new Error(`q = ${q} is not prime.`);
+  if (p === q) throw new Error('p and q must be different.');
+  const phi = (p - 1n) * (q - 1n);
+  if (e <= 1n || e >= phi) throw new Error(`e must be between 1 and φ(n) = ${phi}.`);
+  if (gcd(e, phi) !== 1n) throw new Error(`e = ${e} is not coprime with φ(n) = ${phi}.`);
+  return phi;
+};
+
+const readPlaintext = (params) => {
+  const plaintext = params.get('m') ?? '';
+  if (plaintext.length > MAX_PLAINTEXT_LENGTH) {
+    throw new Error(`The message is longer than ${MAX_PLAINTEXT_LENGTH} characters.`);
+  }
+  return plaintext;
+};
+
+const readPadding = (params) => {
+  const padding = params.get('padding') ?? 'none';
+  if (!PADDINGS.includes(padding)) throw new Error(`Unknown padding "${padding}".`);
+  return padding;
+};
+
+/**
+ * Parses and validates a session permalink such as "#mode=visualizer&p=17&q=19&e=5&m=HI&stage=encrypt&step=3".
+ * Visualizer links carry p, q, e, the message, padding and the playback position (step is 1-based).
+ * Encrypt/Decrypt links carry the public key n, e and the padding but never the message, which may
+ * be secret; p and q are only present if the sender opted in, and then the full private key is rebuilt from them.
+ * @param {string} hash window.location.hash, with or without the leading #.
+ * @returns {{mode: string, session: object}|null} null if the hash is empty. For the visualizer, session is
+ *   {p?, q?, e?, plaintext, padding, stage?, step?} (step 0-based); for Encrypt/Decrypt it is
+ *   {key?: {n, e, d?, p?, q?, dp?, dq?, qInv?}, padding}.
+ * @throws {Error} Describing the first invalid parameter.
+ */
+export const parsePermalink = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if ([...params.keys()].length === 0) return null;
+
+  const mode = params.get('mode') ?? 'visualizer';
+  if (!PERMALINK_MODES.includes(mode)) throw new Error(`Unknown mode "${mode}".`);
+
+  if (mode === 'visualizer') {
+    const [p, q, e] = ['p', 'q', 'e'].map((name) => readBigInt(params, name));
+    const keyParts = [p, q, e].filter((value) => value !== undefined).length;
+    if (keyParts !== 0 && keyParts !== 3) throw new Error('p, q and e must be given together.');
+    if (keyParts === 3) validateKeyParts(p, q, e);
+
+    const plaintext = readPlaintext(params);
+    const session = { p, q, e, plaintext, padding: readPadding(params) };
+    if (params.has('stage')) {
+      const stage = params.get('stage');
+      const step = Number(params.get('step') ?? 1);
+      if (!STAGES.includes(stage)) throw new Error(`Unknown step "${stage}".`);
+      if (!Number.isInteger(step) || step < 1 || step > MAX_STEP) throw new Error(`"step" must be a whole number from 1 to ${MAX_STEP}.`);
+      if (keyParts === 0) throw new Error('A step needs p, q and e.');
+      if (stage !== 'keygen' && !plaintext) throw new Error(`The ${stage} step needs a message.`);
+      Object.assign(session, { stage, step: step - 1 });
+    }
+    return { mode, session };
+  }
+
+  if (mode === 'encryptor') {
+    const [n, e, p, q] = ['n', 'e', 'p', 'q'].map((name) => readBigInt(params, name));
+    const session = { padding: readPadding(params) };
+    if ((n === undefined) !== (e === undefined)) throw new Error('n and e must be given together.');
+    if ((p === undefined) !== (q === undefined)) throw new Error('p and q must be given together.');
+    if (n === undefined) {
+      if (p !== undefined) throw new Error('p and q need n and e.');
+      return { mode, session };
+    }
+    if (n < 2n || e <= 1n || e >= n) throw new Error('e must be between 1 and n.');
+    if (p === undefined) return { mode, session: { ...session, key: { n, e } } };
+
+    if (p * q !== n) throw new Error('p · q does not equal n.');
+    const phi = validateKeyParts(p, q, e);
+    const d = modInverse(e, phi);
+    return { mode, session: { ...session, key: { n, e, d, p, q, ...deriveCrtParams(p, q, d) } } };
+  }
+
+  return { mode, session: {} };
+};
+
+/**
+ * Builds the URL hash for a session; empty, null and undefined values are left out.
+ * @param {Record<string, string|number|bigint|null|undefined>} params mode first, then the mode's fields.
+ * @returns {string} The hash, starting with #.
+ */
+export const buildPermalinkHash = (params) => {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') search.set(name, String(value));
+  }
+  return `#${search}`;
+};
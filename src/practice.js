@@ -0,0 +1,191 @@
+import { gcd, modInverse, modPow, modPowWithSteps, extendedEuclideanWithSteps, generateRandomPrime, randomBigIntInRange } from './rsa-math.js';
+
+/** Difficulty levels: the range the primes p and q are drawn from and the (exclusive) limit on the public exponent. */
+export const PRACTICE_DIFFICULTIES = [
+  { id: 'easy', label: 'Easy (primes 5–30, e < 20)', primes: [5, 30], exponentLimit: 20n },
+  { id: 'medium', label: 'Medium (primes 30–200, e < 100)', primes: [30, 200], exponentLimit: 100n },
+  { id: 'hard', label: 'Hard (primes 200–2000, e up to 65537)', primes: [200, 2000], exponentLimit: 65538n },
+];
+
+export const EXERCISE_TYPES = [
+  { id: 'n', label: 'Compute n' },
+  { id: 'phi', label: 'Compute φ(n)' },
+  { id: 'e-valid', label: 'Is e valid?' },
+  { id: 'd', label: 'Find d' },
+  { id: 'encrypt', label: 'Encrypt a number' },
+  { id: 'decrypt', label: 'Decrypt a number' },
+];
+
+const PRACTICE_STORAGE_KEY = 'rsa-visualizer.practice';
+const DEFAULT_PROGRESS = { difficulty: 'easy', correct: 0, attempted: 0, streak: 0, bestStreak: 0 };
+
+const pickRandom = (items) => items[Number(randomBigIntInRange(0n, BigInt(items.length - 1)))];
+
+// Draws a random e in [3, min(exponentLimit, φ(n)) − 1] that is (or, for the validity exercise, is not) coprime with φ(n)
+const pickExponent = (phi, exponentLimit, coprime = true) => {
+  const upper = (exponentLimit < phi ? exponentLimit : phi) - 1n;
+  let e;
+  do {
+    e = randomBigIntInRange(3n, upper);
+  } while ((gcd(e, phi) === 1n) !== coprime);
+  return e;
+};
+
+// The Euclidean algorithm's division rows as a text log
+const divisionLog = (rows) => rows.map(({ dividend, divisor, quotient, remainder }) => `${dividend} = ${quotient} · ${divisor} + ${remainder}`);
+
+// Hints for each exercise type, shaped like visualizer steps so they render with StepList.
+// The last hint works the answer out, so an answer checked after it counts as a miss.
+const HINTS = {
+  n: ({ p, q }) => [
+    { title: 'Formula', value: 'n = p · q' },
+    { title: 'Substitute', value: `n = ${p} · ${q}` },
+  ],
+  phi: ({ p, q }) => [
+    { title: 'Formula', value: 'φ(n) = (p − 1) · (q − 1)' },
+    { title: 'Substitute', value: `φ(n) = ${p - 1n} · ${q - 1n}` },
+  ],
+  'e-valid': ({ p, q, e, phi }) => {
+    const { gcd: g, rows } = extendedEuclideanWithSteps(phi, e);
+    return [
+      { title: 'Rule', value: 'e is valid if 1 < e < φ(n) and gcd(e, φ(n)) = 1' },
+      { title: 'φ(n)', value: `φ(n) = (${p} − 1) · (${q} − 1) = ${phi}` },
+      { title: 'Euclidean Algorithm', value: `gcd(${phi}, ${e}) is the last nonzero remainder`, stepsLog: divisionLog(rows) },
+      { title: 'Result', value: `gcd(${e}, ${phi}) = ${g}` },
+    ];
+  },
+  d: ({ p, q, e, phi }) => {
+    const { x, y, rows } = extendedEuclideanWithSteps(phi, e);
+    return [
+      { title: 'Rule', value: 'd = e⁻¹ mod φ(n), the number with e · d ≡ 1 (mod φ(n))' },
+      { title: 'φ(n)', value: `φ(n) = (${p} − 1) · (${q} − 1) = ${phi}` },
+      { title: 'Extended Euclidean Algorithm', value: 'Divide until the remainder is 0', stepsLog: divisionLog(rows) },
+      { title: 'Back-Substitution', value: `1 = ${phi} · (${x}) + ${e} · (${y}), so d = ${y} mod ${phi}` },
+    ];
+  },
+  encrypt: ({ n, e, m }) => [
+    { title: 'Formula', value: 'C = Mᵉ mod n' },
+    { title: 'Exponent in Binary', value: `e = ${e} = ${e.toString(2)}₂: square for every bit, multiply for every 1` },
+    { title: 'Square-and-Multiply', value: `C = ${m}^${e} mod ${n}`, modPowRun: modPowWithSteps(m, e, n) },
+  ],
+  decrypt: ({ n, d, c }) => [
+    { title: 'Formula', value: 'M = Cᵈ mod n' },
+    { title: 'Exponent in Binary', value: `d = ${d} = ${d.toString(2)}₂: square for every bit, multiply for every 1` },
+    { title: 'Square-and-Multiply', value: `M = ${c}^${d} mod ${n}`, modPowRun: modPowWithSteps(c, d, n) },
+  ],
+};
+
+const PROMPTS = {
+  n: 'Compute the modulus n.',
+  phi: "Compute Euler's totient φ(n).",
+  'e-valid': 'Is e a valid public exponent for this key?',
+  d: 'Find the private exponent d.',
+  encrypt: 'Encrypt the message M with the public key (n, e).',
+  decrypt: 'Decrypt the ciphertext C with the private key (n, d).',
+};
+
+// Which values the exercise shows, as [label, key in values]
+const GIVEN = {
+  n: [['p', 'p'], ['q', 'q']],
+  phi: [['p', 'p'], ['q', 'q']],
+  'e-valid': [['p', 'p'], ['q', 'q'], ['e', 'e']],
+  d: [['p', 'p'], ['q', 'q'], ['e', 'e']],
+  encrypt: [['n', 'n'], ['e', 'e'], ['M', 'm']],
+  decrypt: [['n', 'n'], ['d', 'd'], ['C', 'c']],
+};
+
+/**
+ * Generates a random exercise on a small-prime key.
+ * @param {string} difficulty An id from PRACTICE_DIFFICULTIES.
+ * @param {string} [type] An id from EXERCISE_TYPES; random if omitted.
+ * @returns {{type: string, prompt: string, given: Array<{label: string, value: bigint}>,
+ *   values: {p: bigint, q: bigint, n: bigint, phi: bigint, e: bigint, d: bigint|null, m: bigint, c: bigint},
+ *   hints: Array<{title: string, value: string, stepsLog?: Array<string>, modPowRun?: object}>}}
+ */
+export const generateExercise = (difficulty, type = pickRandom(EXERCISE_TYPES).id) => {
+  const { primes: [min, max], exponentLimit } = PRACTICE_DIFFICULTIES.find(({ id }) => id === difficulty) ?? PRACTICE_DIFFICULTIES[0];
+  const p = generateRandomPrime(min, max);
+  let q = generateRandomPrime(min, max);
+  while (q === p) q = generateRandomPrime(min, max);
+
+  const n = p * q;
+  const phi = (p - 1n) * (q - 1n);
+  // Half of the validity exercises get an e that shares a factor with φ(n)
+  const e = pickExponent(phi, exponentLimit, type !== 'e-valid' || randomBigIntInRange(0n, 1n) === 1n);
+  const d = gcd(e, phi) === 1n ? modInverse(e, phi) : null;
+  const m = randomBigIntInRange(2n, n - 1n);
+  const values = { p, q, n, phi, e, d, m, c: modPow(m, e, n) };
+
+  return {
+    type,
+    prompt: PROMPTS[type],
+    given: GIVEN[type].map(([label, key]) => ({ label, value: values[key] })),
+    values,
+    hints: HINTS[type](values),
+  };
+};
+
+/**
+ * Checks an answer, recomputing the expected value with gcd, modInverse and modPow.
+ * Any d ≡ e⁻¹ (mod φ(n)) is accepted, since it decrypts the same.
+ * @param {object} exercise From generateExercise.
+ * @param {bigint|boolean} answer A number, or true/false for the validity exercise.
+ * @returns {{correct: boolean, expected: bigint|boolean, explanation: string}}
+ */
+export const checkAnswer = ({ type, values }, answer) => {
+  const { p, q, e, n, m, c } = values;
+  const phi = (p - 1n) * (q - 1n);
+  switch (type) {
+    case 'n':
+      return { correct: answer === p * q, expected: p * q, explanation: `n = ${p} · ${q} = ${p * q}` };
+    case 'phi':
+      return { correct: answer === phi, expected: phi, explanation: `φ(n) = ${p - 1n} · ${q - 1n} = ${phi}` };
+    case 'e-valid': {
+      const g = gcd(e, phi);
+      const expected = e > 1n && e < phi && g === 1n;
+      return { correct: answer === expected, expected, explanation: `gcd(${e}, ${phi}) = ${g}, so e is ${expected ? '' : 'not '}valid` };
+    }
+    case 'd': {
+      const d = modInverse(e, phi);
+      return { correct: answer > 0n && answer % phi === d, expected: d, explanation: `${e} · ${d} mod ${phi} = 1` };
+    }
+    case 'encrypt': {
+      const expected = modPow(m, e, n);
+      return { correct: answer === expected, expected, explanation: `C = ${m}^${e} mod ${n} = ${expected}` };
+    }
+    case 'decrypt': {
+      const expected = modPow(c, modInverse(e, phi), n);
+      return { correct: answer === expected, expected, explanation: `M = ${c}^${values.d} mod ${n} = ${expected}` };
+    }
+    default:
+      throw new Error(`Unknown exercise type "${type}".`);
+  }
+};
+
+/**
+ * Reads the saved difficulty and score from localStorage, falling back to defaults.
+ * @returns {{difficulty: string, correct: number, attempted: number, streak: number, bestStreak: number}}
+ */
+export const loadPracticeProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY));
+    const progress = { ...DEFAULT_PROGRESS, ...saved };
+    const isValid = PRACTICE_DIFFICULTIES.some(({ id }) => id === progress.difficulty)
+      && ['correct', 'attempted', 'streak', 'bestStreak'].every((field) => Number.isInteger(progress[field]) && progress[field] >= 0);
+    return isValid ? progress : { ...DEFAULT_PROGRESS };
+  } catch {
+    return { ...DEFAULT_PROGRESS };
+  }
+};
+
+/**
+ * Saves the difficulty and score to localStorage.
+ * @param {{difficulty: string, correct: number, attempted: number, streak: number, bestStreak: number}} progress
+ */
+export const savePracticeProgress = (progress) => {
+  try {
+    localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Storage is disabled or full: the score just isn't kept
+  }
+};
@@ -46,35 +46,272 @@ export const modInverse = (e, phi) => {
 };
 
 /**
- * A simple primality test.
- * Sufficient for small numbers in this visualizer.
- * @param {number} num
- * @returns {boolean} True if num is prime, false otherwise.
+ * Extended Euclidean Algorithm with every step recorded, in the pen-and-paper layout:
+ * divisions dividend = quotient * divisor + remainder from the top down, then
+ * back-substitution from the bottom up, which gives each row Bezout coefficients
+ * with dividend * x + divisor * y = gcd.
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {{gcd: bigint, x: bigint, y: bigint,
+ *   rows: Array<{dividend: bigint, divisor: bigint, quotient: bigint, remainder: bigint, x: bigint, y: bigint}>}}
+ *   The rows in division order; x and y solve a*x + b*y = gcd (the first row's coefficients).
+ */
+export const extendedEuclideanWithSteps = (a, b) => {
+  const rows = [];
+  let [dividend, divisor] = [a, b];
+  while (divisor !== 0n) {
+    const quotient = dividend / divisor;
+    const remainder = dividend % divisor;
+    rows.push({ dividend, divisor, quotient, remainder });
+    [dividend, divisor] = [divisor, remainder];
+  }
+
+  // The last row has remainder 0, so its divisor is the gcd: dividend * 0 + divisor * 1 = gcd.
+  // Going up, remainder = dividend - quotient * divisor turns (x', y') into (y', x' - quotient * y').
+  let [x, y] = [1n, 0n];
+  for (let i = rows.length - 1; i >= 0; i--) {
+    [x, y] = i === rows.length - 1 ? [0n, 1n] : [y, x - rows[i].quotient * y];
+    Object.assign(rows[i], { x, y });
+  }
+  return { gcd: dividend, x, y, rows };
+};
+
+/**
+ * Parses a user-supplied value into a BigInt.
+ * @param {string|number|bigint} value
+ * @returns {bigint|null} The parsed BigInt, or null if the value is not an integer.
+ */
+export const parseBigInt = (value) => {
+  try {
+    return BigInt(String(value).trim());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Returns the number of bits needed to represent a non-negative BigInt.
+ * @param {bigint} value
+ * @returns {number} The bit length (0 for 0n).
+ */
+export const bitLength = (value) => (value === 0n ? 0 : value.toString(2).length);
+
+/**
+ * Fills a byte array from the platform CSPRNG (crypto.getRandomValues).
+ * Works on the main thread and inside Web Workers.
+ * @param {number} length Number of bytes.
+ * @returns {Uint8Array} The random bytes.
+ */
+export const getRandomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Converts a big-endian byte array to a BigInt.
+ * @param {Uint8Array|Array<number>} bytes
+ * @returns {bigint} The resulting BigInt.
+ */
+export const bytesToBigInt = (bytes) => {
+  let hex = '';
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex ? BigInt('0x' + hex) : 0n;
+};
+
+/**
+ * Picks a uniformly random BigInt in [min, max] (inclusive) by rejection sampling.
+ * @param {bigint} min
+ * @param {bigint} max
+ * @param {(length: number) => Uint8Array} [randomBytes] Source of random bytes.
+ * @returns {bigint} A random BigInt between min and max.
+ */
+export const randomBigIntInRange = (min, max, randomBytes = getRandomBytes) => {
+  const range = max - min + 1n;
+  const bits = bitLength(range);
+  const byteCount = Math.ceil(bits / 8);
+  const excessBits = BigInt(byteCount * 8 - bits);
+  let candidate;
+  do {
+    candidate = bytesToBigInt(randomBytes(byteCount)) >> excessBits;
+  } while (candidate >= range);
+  return min + candidate;
+};
+
+// Primes below 1000, used to reject most candidates before Miller–Rabin.
+const SMALL_PRIMES = (() => {
+  const limit = 1000;
+  const sieve = new Array(limit).fill(true);
+  const primes = [];
+  for (let i = 2; i < limit; i++) {
+    if (!sieve[i]) continue;
+    primes.push(BigInt(i));
+    for (let j = i * i; j < limit; j += i) sieve[j] = false;
+  }
+  return primes;
+})();
+
+// Testing against the first 12 primes is deterministic for every n < 2^64.
+const DETERMINISTIC_WITNESSES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+const DETERMINISTIC_LIMIT = 1n << 64n;
+
+/**
+ * Miller–Rabin probabilistic primality test on BigInts.
+ * Inputs below 2^64 use a fixed witness set, which makes the verdict exact.
+ * Larger inputs use `rounds` random witnesses (error probability ≤ 4^-rounds).
+ * @param {bigint|number|string} num The number to test.
+ * @param {object} [options]
+ * @param {number} [options.rounds=40] Number of random witnesses for inputs ≥ 2^64.
+ * @param {(length: number) => Uint8Array} [options.randomBytes] Source of random bytes for witnesses.
+ * @param {(round: number, total: number) => void} [options.onRound] Called after each witness passes.
+ * @returns {{isPrime: boolean, certain: boolean, witnesses: Array<bigint>}}
+ *   The verdict, whether it is exact, and the witnesses that were tested
+ *   (for a composite, the last witness is the one that proved it).
  */
-export const isPrime = (num) => {
-  if (num <= 1) return false;
-  if (num <= 3) return true;
-  if (num % 2 === 0 || num % 3 === 0) return false;
-  for (let i = 5; i * i <= num; i = i + 6) {
-    if (num % i === 0 || num % (i + 2) === 0) return false;
+export const millerRabin = (num, { rounds = 40, randomBytes = getRandomBytes, onRound } = {}) => {
+  const n = BigInt(num);
+  if (n < 2n) return { isPrime: false, certain: true, witnesses: [] };
+  for (const smallPrime of SMALL_PRIMES) {
+    if (n === smallPrime) return { isPrime: true, certain: true, witnesses: [] };
+    if (n % smallPrime === 0n) return { isPrime: false, certain: true, witnesses: [] };
   }
-  return true;
+
+  // Write n - 1 as 2^s * r with r odd
+  let r = n - 1n;
+  let s = 0;
+  while ((r & 1n) === 0n) {
+    r >>= 1n;
+    s++;
+  }
+
+  const deterministic = n < DETERMINISTIC_LIMIT;
+  const total = deterministic ? DETERMINISTIC_WITNESSES.length : rounds;
+  const witnesses = [];
+
+  for (let i = 0; i < total; i++) {
+    const a = deterministic ? DETERMINISTIC_WITNESSES[i] : randomBigIntInRange(2n, n - 2n, randomBytes);
+    witnesses.push(a);
+
+    let x = modPow(a, r, n);
+    if (x !== 1n && x !== n - 1n) {
+      let passed = false;
+      for (let j = 1; j < s; j++) {
+        x = (x * x) % n;
+        if (x === n - 1n) {
+          passed = true;
+          break;
+        }
+      }
+      if (!passed) {
+        // a is a witness to the compositeness of n
+        return { isPrime: false, certain: true, witnesses };
+      }
+    }
+    if (onRound) onRound(i + 1, total);
+  }
+
+  return { isPrime: true, certain: deterministic, witnesses };
 };
 
+/**
+ * Primality test for numbers of any size (see millerRabin).
+ * @param {bigint|number|string} num
+ * @returns {boolean} True if num is (probably) prime, false otherwise.
+ */
+export const isPrime = (num) => millerRabin(num).isPrime;
+
 /**
  * Generates a random prime number within a given range (inclusive).
- * @param {number} min
- * @param {number} max
- * @returns {number} A random prime number.
+ * @param {bigint|number} min
+ * @param {bigint|number} max
+ * @param {(length: number) => Uint8Array} [randomBytes] Source of random bytes.
+ * @returns {bigint} A random prime number.
  */
-export const generateRandomPrime = (min, max) => {
-  let p = 0;
+export const generateRandomPrime = (min, max, randomBytes = getRandomBytes) => {
+  let p = 0n;
   while (!isPrime(p)) {
-    p = Math.floor(Math.random() * (max - min + 1)) + min;
+    p = randomBigIntInRange(BigInt(min), BigInt(max), randomBytes);
   }
   return p;
 };
 
+// Rejected candidates are reported at most this often (a 4096-bit search rejects thousands)
+const PRIME_PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Generates a random prime of exactly `bits` bits from the CSPRNG.
+ * The two most significant bits are forced to 1, so the product of two such
+ * primes always has exactly the sum of their bit lengths.
+ * @param {number} bits Bit length of the prime (at least 2).
+ * @param {object} [options]
+ * @param {bigint} [options.e] Public exponent; candidates with gcd(e, p - 1) ≠ 1 are skipped.
+ * @param {(length: number) => Uint8Array} [options.randomBytes] Source of random bytes.
+ * @param {(progress: {candidates: number, roundsPassed: number, totalRounds: number}) => void} [options.onProgress]
+ *   Called after each Miller–Rabin round a candidate passes, and for rejected candidates at most
+ *   every PRIME_PROGRESS_INTERVAL_MS milliseconds.
+ * @returns {bigint} A random prime with the requested bit length.
+ */
+export const generatePrime = (bits, { e, randomBytes = getRandomBytes, onProgress } = {}) => {
+  const byteCount = Math.ceil(bits / 8);
+  const excessBits = BigInt(byteCount * 8 - bits);
+  const topBits = 3n << BigInt(bits - 2);
+  let candidates = 0;
+  let lastReport = -Infinity;
+
+  for (;;) {
+    const candidate = (bytesToBigInt(randomBytes(byteCount)) >> excessBits) | topBits | 1n;
+    candidates++;
+    if (!e || gcd(e, candidate - 1n) === 1n) {
+      const onRound = onProgress && ((roundsPassed, totalRounds) => onProgress({ candidates, roundsPassed, totalRounds }));
+      if (millerRabin(candidate, { randomBytes, onRound }).isPrime) return candidate;
+    }
+    if (onProgress && performance.now() - lastReport >= PRIME_PROGRESS_INTERVAL_MS) {
+      lastReport = performance.now();
+      onProgress({ candidates, roundsPassed: 0, totalRounds: 0 });
+    }
+  }
+};
+
+/**
+ * Generates an RSA key pair whose modulus n has exactly `bits` bits.
+ * @param {number} bits Modulus size, e.g. 2048.
+ * @param {object} [options]
+ * @param {bigint} [options.e=65537n] Public exponent.
+ * @param {(length: number) => Uint8Array} [options.randomBytes] Source of random bytes.
+ * @param {(progress: {stage: 'p'|'q'|'derive', candidates: number, roundsPassed: number, totalRounds: number}) => void} [options.onProgress]
+ *   Progress callback; see generatePrime for the per-prime fields.
+ * @returns {{n: bigint, e: bigint, d: bigint, p: bigint, q: bigint, phi: bigint, dp: bigint, dq: bigint, qInv: bigint}}
+ *   The key components, including the CRT parameters.
+ */
+export const generateKeyPair = (bits, { e = 65537n, randomBytes = getRandomBytes, onProgress } = {}) => {
+  const pBits = Math.ceil(bits / 2);
+  const qBits = bits - pBits;
+  const reportFor = (stage) => onProgress && ((progress) => onProgress({ stage, ...progress }));
+
+  const p = generatePrime(pBits, { e, randomBytes, onProgress: reportFor('p') });
+  let q = generatePrime(qBits, { e, randomBytes, onProgress: reportFor('q') });
+  while (q === p) {
+    q = generatePrime(qBits, { e, randomBytes, onProgress: reportFor('q') });
+  }
+
+  if (onProgress) onProgress({ stage: 'derive', candidates: 0, roundsPassed: 0, totalRounds: 0 });
+  const n = p * q;
+  const phi = (p - 1n) * (q - 1n);
+  const d = modInverse(e, phi);
+  return { n, e, d, p, q, phi, ...deriveCrtParams(p, q, d) };
+};
+
+/**
+ * Derives the Chinese Remainder Theorem parameters of a private key.
+ * @param {bigint} p
+ * @param {bigint} q
+ * @param {bigint} d
+ * @returns {{dp: bigint, dq: bigint, qInv: bigint}} dp = d mod (p-1), dq = d mod (q-1), qInv = q⁻¹ mod p.
+ */
+export const deriveCrtParams = (p, q, d) => ({
+  dp: d % (p - 1n),
+  dq: d % (q - 1n),
+  qInv: modInverse(q, p),
+});
+
 /**
  * Performs modular exponentiation (base^exponent % modulus).
  * (M^e % n) or (C^d % n)
@@ -105,12 +342,32 @@ export const modPow = (base, exponent, modulus) => {
  */
 export const textToBigInt = (text) => {
   const encoder = new TextEncoder();
-  const encoded = encoder.encode(text);
-  let result = 0n;
-  for (let i = 0; i < encoded.length; i++) {
-    result = (result << 8n) + BigInt(encoded[i]);
+  return bytesToBigInt(encoder.encode(text));
+};
+
+/**
+ * Converts a non-negative BigInt to a big-endian byte array.
+ * @param {bigint} value The BigInt to convert.
+ * @param {number} [length] Output length; the result is left-padded with zero bytes.
+ *   Defaults to the minimal number of bytes.
+ * @returns {Uint8Array} The bytes of the value.
+ */
+export const bigIntToBytes = (value, length) => {
+  let hexString = value === 0n ? '' : value.toString(16);
+  if (hexString.length % 2 !== 0) {
+    hexString = '0' + hexString; // Ensure even length
   }
-  return result;
+  const byteCount = length ?? hexString.length / 2;
+  if (hexString.length / 2 > byteCount) {
+    throw new Error(`Value does not fit in ${byteCount} bytes.`);
+  }
+  hexString = hexString.padStart(byteCount * 2, '0');
+
+  const bytes = new Uint8Array(byteCount);
+  for (let i = 0; i < byteCount; i++) {
+    bytes[i] = parseInt(hexString.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
 };
 
 /**
@@ -119,63 +376,679 @@ export const textToBigInt = (text) => {
  * @returns {string} The resulting text string.
  */
 export const bigIntToText = (bigIntValue) => {
-  let hexString = bigIntValue.toString(16);
-  if (hexString.length % 2 !== 0) {
-    hexString = '0' + hexString; // Ensure even length
+  const decoder = new TextDecoder();
+  return decoder.decode(bigIntToBytes(bigIntValue));
+};
+
+/**
+ * Length of the modulus in bytes (k in PKCS#1).
+ * @param {bigint} n The modulus.
+ * @returns {number} The byte length of n.
+ */
+export const getByteLength = (n) => Math.ceil(bitLength(n) / 8);
+
+// Bytes of every PKCS#1 v1.5 block taken up by 00 ‖ 02 ‖ PS (at least 8) ‖ 00
+export const PKCS1_V15_OVERHEAD = 11;
+
+// Output length of SHA-256 in bytes (hLen in PKCS#1)
+export const SHA256_LENGTH = 32;
+
+// Bytes of every OAEP block taken up by 00 ‖ maskedSeed ‖ lHash ‖ 01
+export const OAEP_SHA256_OVERHEAD = 2 * SHA256_LENGTH + 2;
+
+/**
+ * Largest number of message bytes that fit in one block under n.
+ * Without padding that is the whole bytes that always encode an integer
+ * below n; with padding it is what is left after the padding overhead.
+ * @param {bigint} n The modulus.
+ * @param {'none'|'pkcs1'|'oaep'} [padding='none'] The padding scheme.
+ * @returns {number} The block size in bytes (0 or less if n is too small).
+ */
+export const getBlockSize = (n, padding = 'none') => {
+  if (padding === 'pkcs1') return getByteLength(n) - PKCS1_V15_OVERHEAD;
+  if (padding === 'oaep') return getByteLength(n) - OAEP_SHA256_OVERHEAD;
+  return Math.floor((bitLength(n) - 1) / 8);
+};
+
+// Marks the end of the message in unpadded block mode (ISO/IEC 7816-4 style: 80 00 … 00)
+const END_OF_MESSAGE = 0x80;
+
+/**
+ * Splits the UTF-8 bytes of a text into blocks that each fit below n.
+ * A block's integer value drops its leading zero bytes, so textbook block mode
+ * (padLastBlock) appends 0x80 and zeros up to a full block; blocksToText strips them.
+ * Padding schemes (PKCS#1 v1.5, OAEP) record the message length themselves.
+ * @param {string} text The text to encode.
+ * @param {bigint} n The modulus.
+ * @param {number} [blockSize] Bytes per block; defaults to getBlockSize(n).
+ * @param {object} [options]
+ * @param {boolean} [options.padLastBlock=false] Fill the last block with 80 00 … 00.
+ * @returns {{blockSize: number, blocks: Array<{bytes: Uint8Array, value: bigint}>}}
+ *   The block size in bytes and each block's bytes and integer value.
+ */
+export const textToBlocks = (text, n, blockSize = getBlockSize(n), { padLastBlock = false } = {}) => {
+  if (blockSize < 1) {
+    throw new Error('n is too small to hold a single byte (n must be at least 256).');
   }
-  
-  const bytes = [];
-  for (let i = 0; i < hexString.length; i += 2) {
-    bytes.push(parseInt(hexString.substring(i, i + 2), 16));
+  let encoded = new TextEncoder().encode(text);
+  if (padLastBlock) {
+    const padded = new Uint8Array((Math.floor(encoded.length / blockSize) + 1) * blockSize);
+    padded.set(encoded);
+    padded[encoded.length] = END_OF_MESSAGE;
+    encoded = padded;
   }
-  
-  const decoder = new TextDecoder();
-  return decoder.decode(new Uint8Array(bytes));
+  const blocks = [];
+  for (let i = 0; i < encoded.length; i += blockSize) {
+    const bytes = encoded.slice(i, i + blockSize);
+    blocks.push({ bytes, value: bytesToBigInt(bytes) });
+  }
+  return { blockSize, blocks };
 };
 
 /**
- * Performs modular exponentiation and returns an array of steps for visualization.
+ * Reassembles decrypted block integers into text (the inverse of textToBlocks with padLastBlock).
+ * Every block is restored to the full block size, so zero bytes at the start of a block
+ * are kept, then the 80 00 … 00 end marker is removed.
+ * @param {Array<bigint>} values The block integers, in order.
+ * @param {number} blockSize The block size in bytes used when splitting.
+ * @returns {string} The resulting text string.
+ * @throws {Error} If the end marker is missing (wrong key or block size).
+ */
+export const blocksToText = (values, blockSize) => {
+  const bytes = concatBytes(values.map((value) => bigIntToBytes(value, blockSize)));
+  const end = bytes.findLastIndex((byte) => byte !== 0);
+  if (end < 0 || bytes[end] !== END_OF_MESSAGE) {
+    throw new Error('The last block has no 80 00 … 00 end marker: wrong key, or not split with this block size.');
+  }
+  return new TextDecoder().decode(bytes.subarray(0, end));
+};
+
+/**
+ * Joins several byte arrays into one.
+ * @param {Array<Uint8Array|Array<number>>} chunks
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+export const concatBytes = (chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+};
+
+/**
+ * Applies PKCS#1 v1.5 encryption padding (block type 2):
+ * EM = 00 ‖ 02 ‖ PS ‖ 00 ‖ M, where PS is at least 8 random nonzero bytes.
+ * @param {Uint8Array} message The message bytes (at most k - 11 bytes).
+ * @param {number} k Length of the modulus in bytes.
+ * @param {(length: number) => Uint8Array} [randomBytes] Source of random bytes.
+ * @returns {Uint8Array} The k-byte encoded message EM.
+ */
+export const pkcs1v15Pad = (message, k, randomBytes = getRandomBytes) => {
+  if (message.length > k - PKCS1_V15_OVERHEAD) {
+    throw new Error(`Message too long: PKCS#1 v1.5 fits at most ${k - PKCS1_V15_OVERHEAD} bytes in a ${k}-byte modulus.`);
+  }
+  const psLength = k - message.length - 3;
+  const ps = new Uint8Array(psLength);
+  let filled = 0;
+  while (filled < psLength) {
+    // Draw fresh bytes and keep only the nonzero ones
+    for (const byte of randomBytes(psLength - filled)) {
+      if (byte !== 0) ps[filled++] = byte;
+    }
+  }
+  return concatBytes([[0x00, 0x02], ps, [0x00], message]);
+};
+
+/**
+ * Strictly checks and removes PKCS#1 v1.5 encryption padding (block type 2).
+ * @param {Uint8Array} em The k-byte encoded message.
+ * @returns {Uint8Array} The message bytes.
+ * @throws {Error} If the block is not 00 ‖ 02 ‖ PS (≥ 8 nonzero bytes) ‖ 00 ‖ M.
+ */
+export const pkcs1v15Unpad = (em) => {
+  const hex = (byte) => `0x${byte.toString(16).padStart(2, '0')}`;
+  if (em.length < PKCS1_V15_OVERHEAD) {
+    throw new Error(`Invalid PKCS#1 v1.5 padding: block is ${em.length} bytes, need at least ${PKCS1_V15_OVERHEAD}.`);
+  }
+  if (em[0] !== 0x00) {
+    throw new Error(`Invalid PKCS#1 v1.5 padding: byte 0 is ${hex(em[0])}, expected 0x00.`);
+  }
+  if (em[1] !== 0x02) {
+    throw new Error(`Invalid PKCS#1 v1.5 padding: block type (byte 1) is ${hex(em[1])}, expected 0x02.`);
+  }
+  const separator = em.indexOf(0x00, 2);
+  if (separator === -1) {
+    throw new Error('Invalid PKCS#1 v1.5 padding: no 0x00 separator after the padding string.');
+  }
+  const psLength = separator - 2;
+  if (psLength < 8) {
+    throw new Error(`Invalid PKCS#1 v1.5 padding: padding string is ${psLength} bytes, minimum is 8.`);
+  }
+  return em.slice(separator + 1);
+};
+
+// DER DigestInfo header for SHA-256 (RFC 8017, section 9.2, note 1)
+export const SHA256_DIGEST_INFO_PREFIX = new Uint8Array([
+  0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20,
+]);
+
+/**
+ * Applies PKCS#1 v1.5 signature padding (EMSA-PKCS1-v1_5, block type 1) to a SHA-256 digest:
+ * EM = 00 ‖ 01 ‖ FF…FF ‖ 00 ‖ DigestInfo ‖ H. This is what RS256 signs.
+ * @param {Uint8Array} hash The 32-byte SHA-256 digest.
+ * @param {number} k Length of the modulus in bytes.
+ * @returns {Uint8Array} The k-byte encoded message EM.
+ */
+export const emsaPkcs1v15Encode = (hash, k) => {
+  const t = concatBytes([SHA256_DIGEST_INFO_PREFIX, hash]);
+  if (k < t.length + PKCS1_V15_OVERHEAD) {
+    throw new Error(`Modulus too short: EMSA-PKCS1-v1_5 with SHA-256 needs at least ${t.length + PKCS1_V15_OVERHEAD} bytes, got ${k}.`);
+  }
+  return concatBytes([[0x00, 0x01], new Uint8Array(k - t.length - 3).fill(0xff), [0x00], t]);
+};
+
+/**
+ * Computes the SHA-256 digest of some bytes with WebCrypto.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>} The 32-byte digest.
+ */
+export const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+/**
+ * XORs two byte arrays of the same length.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {Uint8Array} a ⊕ b
+ */
+export const xorBytes = (a, b) => a.map((byte, i) => byte ^ b[i]);
+
+/**
+ * MGF1 mask generation function with SHA-256 (RFC 8017, B.2.1):
+ * SHA-256(seed ‖ 00000000) ‖ SHA-256(seed ‖ 00000001) ‖ ... truncated to `length`.
+ * @param {Uint8Array} seed
+ * @param {number} length Mask length in bytes.
+ * @returns {Promise<Uint8Array>} The mask.
+ */
+export const mgf1 = async (seed, length) => {
+  const blocks = [];
+  for (let counter = 0; counter * SHA256_LENGTH < length; counter++) {
+    const counterBytes = new Uint8Array([counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff]);
+    blocks.push(await sha256(concatBytes([seed, counterBytes])));
+  }
+  return concatBytes(blocks).slice(0, length);
+};
+
+/**
+ * EME-OAEP encoding with SHA-256 and MGF1-SHA-256 (RFC 8017, 7.1.1).
+ * Compatible with WebCrypto's RSA-OAEP / SHA-256.
+ * @param {Uint8Array} message The message bytes (at most k - 66 bytes).
+ * @param {number} k Length of the modulus in bytes.
+ * @param {object} [options]
+ * @param {Uint8Array} [options.label] Optional label (empty by default).
+ * @param {(length: number) => Uint8Array} [options.randomBytes] Source of the random seed.
+ * @returns {Promise<{em: Uint8Array, stages: object}>} The k-byte encoded message and every
+ *   intermediate value (lHash, ps, db, seed, dbMask, maskedDB, seedMask, maskedSeed).
+ */
+export const oaepEncode = async (message, k, { label = new Uint8Array(0), randomBytes = getRandomBytes } = {}) => {
+  if (message.length > k - OAEP_SHA256_OVERHEAD) {
+    throw new Error(`Message too long: OAEP (SHA-256) fits at most ${k - OAEP_SHA256_OVERHEAD} bytes in a ${k}-byte modulus.`);
+  }
+  const lHash = await sha256(label);
+  const ps = new Uint8Array(k - message.length - OAEP_SHA256_OVERHEAD);
+  const db = concatBytes([lHash, ps, [0x01], message]);
+  const seed = randomBytes(SHA256_LENGTH);
+  const dbMask = await mgf1(seed, k - SHA256_LENGTH - 1);
+  const maskedDB = xorBytes(db, dbMask);
+  const seedMask = await mgf1(maskedDB, SHA256_LENGTH);
+  const maskedSeed = xorBytes(seed, seedMask);
+  const em = concatBytes([[0x00], maskedSeed, maskedDB]);
+  return { em, stages: { lHash, ps, db, seed, dbMask, maskedDB, seedMask, maskedSeed } };
+};
+
+/**
+ * EME-OAEP decoding with SHA-256 and MGF1-SHA-256 (RFC 8017, 7.1.2).
+ * @param {Uint8Array} em The k-byte encoded message.
+ * @param {object} [options]
+ * @param {Uint8Array} [options.label] The label used when encoding (empty by default).
+ * @returns {Promise<{message: Uint8Array, stages: object}>} The message bytes and every
+ *   intermediate value (maskedSeed, maskedDB, seedMask, seed, dbMask, db, lHash, psLength).
+ * @throws {Error} If the encoded message is malformed.
+ */
+export const oaepDecode = async (em, { label = new Uint8Array(0) } = {}) => {
+  const k = em.length;
+  if (k < OAEP_SHA256_OVERHEAD) {
+    throw new Error(`OAEP decoding error: block is ${k} bytes, need at least ${OAEP_SHA256_OVERHEAD}.`);
+  }
+  const maskedSeed = em.slice(1, 1 + SHA256_LENGTH);
+  const maskedDB = em.slice(1 + SHA256_LENGTH);
+  const seedMask = await mgf1(maskedDB, SHA256_LENGTH);
+  const seed = xorBytes(maskedSeed, seedMask);
+  const dbMask = await mgf1(seed, k - SHA256_LENGTH - 1);
+  const db = xorBytes(maskedDB, dbMask);
+  const lHash = await sha256(label);
+  const stages = { maskedSeed, maskedDB, seedMask, seed, dbMask, db, lHash };
+
+  if (em[0] !== 0x00) {
+    throw new Error(`OAEP decoding error: byte 0 is 0x${em[0].toString(16).padStart(2, '0')}, expected 0x00.`);
+  }
+  if (lHash.some((byte, i) => byte !== db[i])) {
+    throw new Error('OAEP decoding error: the label hash in DB does not match SHA-256(label).');
+  }
+  let separator = SHA256_LENGTH;
+  while (separator < db.length && db[separator] === 0x00) separator++;
+  if (separator === db.length || db[separator] !== 0x01) {
+    throw new Error(`OAEP decoding error: expected 0x01 after the zero padding (DB byte ${separator}).`);
+  }
+  return { message: db.slice(separator + 1), stages: { ...stages, psLength: separator - SHA256_LENGTH } };
+};
+
+/**
+ * One bit of a square-and-multiply run, least significant bit first.
+ * @typedef {object} ModPowStep
+ * @property {number} bitIndex Position of the bit, counted from the right (0 = least significant).
+ * @property {0|1} bit The exponent bit.
+ * @property {'multiply'|'skip'} operation 'multiply' if the bit is 1 (result = result * base mod modulus).
+ * @property {bigint} resultBefore
+ * @property {bigint} resultAfter
+ * @property {bigint} baseBefore base^(2^bitIndex) mod modulus.
+ * @property {bigint} baseAfter The squared base for the next bit (unchanged after the last bit).
+ * @property {boolean} squared False for the most significant bit, after which no squaring is needed.
+ */
+
+/**
+ * Performs modular exponentiation and records every step for visualization.
  * (base^exponent % modulus)
  * @param {bigint} base
  * @param {bigint} exponent
  * @param {bigint} modulus
- * @returns {{steps: Array<string>, result: bigint}} An object containing the steps and the final result.
+ * @returns {{base: bigint, exponent: bigint, modulus: bigint, steps: Array<ModPowStep>, result: bigint}}
+ *   The inputs, one step per exponent bit and the final result. See formatModPowSteps for a text log.
  */
 export const modPowWithSteps = (base, exponent, modulus) => {
   const steps = [];
-  if (modulus === 1n) return { steps: ["Modulus is 1, result is 0."], result: 0n };
+  if (modulus === 1n) return { base, exponent, modulus, steps, result: 0n };
 
   let result = 1n;
   let b = base % modulus;
-  let exp = exponent;
-  const binaryExp = exp.toString(2);
-  steps.push(`Calculating (base ^ exponent) % modulus`);
-  steps.push(`(${base} ^ ${exponent}) % ${modulus}`);
-  steps.push(`Exponent in binary: ${binaryExp}`);
-  steps.push("---");
-  steps.push(`Initialize result = 1n`);
+  const binaryExp = exponent.toString(2);
 
   for (let i = binaryExp.length - 1; i >= 0; i--) {
-    const bit = binaryExp[i];
-    steps.push(`\nBit ${binaryExp.length - 1 - i} (from right) = ${bit}`);
-    
-    if (bit === '1') {
-      steps.push(`Bit is 1: result = (result * base) % modulus`);
-      steps.push(`result = (${result} * ${b}) % ${modulus} = ${(result * b) % modulus}`);
-      result = (result * b) % modulus;
+    const bit = binaryExp[i] === '1' ? 1 : 0;
+    const resultBefore = result;
+    const baseBefore = b;
+    if (bit) result = (result * b) % modulus;
+    if (i > 0) b = (b * b) % modulus;
+    steps.push({
+      bitIndex: binaryExp.length - 1 - i,
+      bit,
+      operation: bit ? 'multiply' : 'skip',
+      resultBefore,
+      resultAfter: result,
+      baseBefore,
+      baseAfter: b,
+      squared: i > 0,
+    });
+  }
+
+  return { base, exponent, modulus, steps, result };
+};
+
+/**
+ * Renders a modPowWithSteps run as plain text lines, for logs and export.
+ * @param {{base: bigint, exponent: bigint, modulus: bigint, steps: Array<ModPowStep>, result: bigint}} run
+ * @returns {Array<string>} The lines of the log.
+ */
+export const formatModPowSteps = ({ base, exponent, modulus, steps, result }) => {
+  if (modulus === 1n) return ['Modulus is 1, result is 0.'];
+
+  const lines = [
+    `Calculating (base ^ exponent) % modulus`,
+    `(${base} ^ ${exponent}) % ${modulus}`,
+    `Exponent in binary: ${exponent.toString(2)}`,
+    '---',
+    `Initialize result = 1n`,
+  ];
+  for (const step of steps) {
+    lines.push(`\nBit ${step.bitIndex} (from right) = ${step.bit}`);
+    if (step.operation === 'multiply') {
+      lines.push(`Bit is 1: result = (result * base) % modulus`);
+      lines.push(`result = (${step.resultBefore} * ${step.baseBefore}) % ${modulus} = ${step.resultAfter}`);
     } else {
-      steps.push(`Bit is 0: result remains ${result}`);
+      lines.push(`Bit is 0: result remains ${step.resultAfter}`);
+    }
+    if (step.squared) {
+      lines.push(`Square base: base = (base * base) % modulus`);
+      lines.push(`base = (${step.baseBefore} * ${step.baseBefore}) % ${modulus} = ${step.baseAfter}`);
+    }
+  }
+  lines.push('---');
+  lines.push(`Final exponent bit processed. Result = ${result}`);
+  return lines;
+};
+
+/**
+ * Decrypts c with the Chinese Remainder Theorem:
+ * m1 = c^dp mod p, m2 = c^dq mod q, then Garner's recombination
+ * h = qInv·(m1 - m2) mod p and m = m2 + h·q.
+ * @param {bigint} c The ciphertext.
+ * @param {{p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {bigint} The plaintext integer m = c^d mod n.
+ */
+export const crtDecrypt = (c, { p, q, dp, dq, qInv }) => {
+  const m1 = modPow(c, dp, p);
+  const m2 = modPow(c, dq, q);
+  const h = (qInv * (((m1 - m2) % p) + p)) % p;
+  return m2 + h * q;
+};
+
+/**
+ * CRT decryption that also returns step logs for visualization.
+ * @param {bigint} c The ciphertext.
+ * @param {{p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {{m1: {steps: Array<ModPowStep>, result: bigint}, m2: {steps: Array<ModPowStep>, result: bigint},
+ *   recombinationSteps: Array<string>, result: bigint}} The half-size exponentiations (modPowWithSteps runs),
+ *   Garner's recombination and the final result.
+ */
+export const crtDecryptWithSteps = (c, { p, q, dp, dq, qInv }) => {
+  const m1 = modPowWithSteps(c, dp, p);
+  const m2 = modPowWithSteps(c, dq, q);
+  const diff = (((m1.result - m2.result) % p) + p) % p;
+  const h = (qInv * diff) % p;
+  const result = m2.result + h * q;
+
+  const recombinationSteps = [
+    `Garner's recombination`,
+    `h = qInv * (m1 - m2) mod p`,
+    `h = ${qInv} * (${m1.result} - ${m2.result}) mod ${p}`,
+    `h = ${qInv} * ${diff} mod ${p} = ${h}`,
+    "---",
+    `m = m2 + h * q`,
+    `m = ${m2.result} + ${h} * ${q} = ${result}`,
+  ];
+  return { m1, m2, recombinationSteps, result };
+};
+
+/**
+ * Counts the modular squarings and multiplications square-and-multiply needs for an exponent.
+ * @param {bigint} exponent
+ * @returns {{squarings: number, multiplications: number}}
+ */
+export const countModPowOperations = (exponent) => {
+  const binary = exponent.toString(2);
+  return {
+    squarings: binary.length - 1,
+    multiplications: binary.split('').filter((bit) => bit === '1').length,
+  };
+};
+
+// Average time of one call of fn in milliseconds, repeated until at least minMs have passed
+const timeOperation = (fn, minMs = 20) => {
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  do {
+    fn();
+    runs++;
+    elapsed = performance.now() - start;
+  } while (elapsed < minMs);
+  return elapsed / runs;
+};
+
+/**
+ * Compares the operation counts of direct decryption (c^d mod n) and CRT decryption.
+ * The cost estimate assumes schoolbook multiplication: each modular product of
+ * b-bit numbers costs about (b / 32)² word operations.
+ * @param {{n: bigint, d: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {{direct: object, crt: object}} For each path: squarings, multiplications,
+ *   operand bits and estimated word operations.
+ */
+export const compareDecryptionCost = (key) => {
+  const { n, d, p, q, dp, dq } = key;
+  const wordOps = (ops, bits) => (ops.squarings + ops.multiplications) * Math.ceil(bits / 32) ** 2;
+
+  const directOps = countModPowOperations(d);
+  const pOps = countModPowOperations(dp);
+  const qOps = countModPowOperations(dq);
+  const halfBits = Math.max(bitLength(p), bitLength(q));
+
+  return {
+    direct: {
+      ...directOps,
+      bits: bitLength(n),
+      wordOps: wordOps(directOps, bitLength(n)),
+    },
+    crt: {
+      squarings: pOps.squarings + qOps.squarings,
+      multiplications: pOps.multiplications + qOps.multiplications + 2, // + Garner's h and h·q
+      bits: halfBits,
+      wordOps: wordOps(pOps, bitLength(p)) + wordOps(qOps, bitLength(q)) + 2 * Math.ceil(halfBits / 32) ** 2,
+    },
+  };
+};
+
+/**
+ * Times direct and CRT decryption of c. Each path repeats for at least 20 ms on the calling
+ * thread, so this runs on request rather than as part of every decryption.
+ * @param {bigint} c The ciphertext.
+ * @param {{n: bigint, d: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @returns {{direct: number, crt: number}} Average time per decryption in milliseconds.
+ */
+export const measureDecryptionTime = (c, key) => ({
+  direct: timeOperation(() => modPow(c, key.d, key.n)),
+  crt: timeOperation(() => crtDecrypt(c, key)),
+});
+
+// --- Factoring Attacks ---
+
+// Default work limit for the factoring attacks, so a large n gives up instead of freezing the page
+export const FACTORING_MAX_ITERATIONS = 200000;
+
+// Keeps the first `limit` log lines and counts the rest, so long runs stay readable
+const createStepLog = (limit = 30) => {
+  const steps = [];
+  let omitted = 0;
+  return {
+    steps,
+    add(line) {
+      if (steps.length < limit) steps.push(line);
+      else omitted++;
+    },
+    // Lines that must always appear, e.g. the result
+    finish(line) {
+      if (omitted > 0) steps.push(`... ${omitted} more steps omitted ...`);
+      steps.push(line);
+      return steps;
+    },
+  };
+};
+
+/**
+ * Exact integer k-th root: the largest r with r^k ≤ value (Newton's method on BigInts).
+ * Check r ** k === value to see whether value is a perfect k-th power.
+ * @param {bigint} value A non-negative integer.
+ * @param {number} k The root degree (k ≥ 1).
+ * @returns {bigint}
+ */
+export const nthRoot = (value, k) => {
+  if (value < 0n) throw new Error('Root of a negative number');
+  if (k < 1) throw new Error(`Invalid root degree ${k}`);
+  if (value < 2n || k === 1) return value;
+  const degree = BigInt(k);
+  // Start above the root (2^ceil(bits/k)) so the iteration decreases monotonically
+  let x = 1n << BigInt(Math.ceil(bitLength(value) / k));
+  for (;;) {
+    const next = ((degree - 1n) * x + value / x ** (degree - 1n)) / degree;
+    if (next >= x) return x;
+    x = next;
+  }
+};
+
+/**
+ * Integer square root: the largest r with r² ≤ value.
+ * @param {bigint} value A non-negative integer.
+ * @returns {bigint}
+ */
+export const integerSqrt = (value) => nthRoot(value, 2);
+
+/**
+ * Chinese Remainder Theorem for pairwise coprime moduli: finds the unique x
+ * below N = ∏ nᵢ with x ≡ rᵢ (mod nᵢ), as x = Σ rᵢ · Nᵢ · (Nᵢ⁻¹ mod nᵢ) mod N.
+ * @param {bigint[]} residues
+ * @param {bigint[]} moduli
+ * @returns {{value: bigint, modulus: bigint, terms: Array<{residue: bigint, modulus: bigint, partial: bigint, inverse: bigint, term: bigint}>}}
+ *   partial is Nᵢ = N / nᵢ and term is rᵢ · Nᵢ · inverse.
+ * @throws {Error} If two moduli share a factor.
+ */
+export const crtCombine = (residues, moduli) => {
+  const modulus = moduli.reduce((product, m) => product * m, 1n);
+  const terms = moduli.map((m, i) => {
+    const partial = modulus / m;
+    const inverse = modInverse(partial % m, m);
+    if (inverse === null) {
+      throw new Error(`Moduli are not pairwise coprime: gcd(n${i + 1}, N / n${i + 1}) = ${gcd(partial, m)}`);
     }
+    return { residue: residues[i], modulus: m, partial, inverse, term: residues[i] * partial * inverse };
+  });
+  const value = terms.reduce((sum, { term }) => sum + term, 0n) % modulus;
+  return { value, modulus, terms };
+};
+
+/**
+ * Factors n by trying every divisor 2, 3, 5, 7, 9, ... up to √n.
+ * Work grows with the smallest prime factor, so it only breaks tiny keys.
+ * @param {bigint} n
+ * @param {{maxIterations?: number}} [options]
+ * @returns {{factor: bigint|null, iterations: number, steps: string[], ms: number}}
+ *   factor is null if none was found within maxIterations.
+ */
+export const trialDivision = (n, { maxIterations = FACTORING_MAX_ITERATIONS } = {}) => {
+  const start = performance.now();
+  const log = createStepLog();
+  const limit = integerSqrt(n);
+  log.add(`Try divisors d = 2, 3, 5, 7, ... up to √n = ${limit}`);
 
-    if (i > 0) {
-      steps.push(`Square base: base = (base * base) % modulus`);
-      steps.push(`base = (${b} * ${b}) % ${modulus} = ${(b * b) % modulus}`);
-      b = (b * b) % modulus;
+  let iterations = 0;
+  for (let d = 2n; d <= limit && iterations < maxIterations; d = d === 2n ? 3n : d + 2n) {
+    iterations++;
+    const remainder = n % d;
+    if (remainder === 0n) {
+      const steps = log.finish(`d = ${d}: n mod ${d} = 0, factor found! n = ${d} × ${n / d}`);
+      return { factor: d, iterations, steps, ms: performance.now() - start };
     }
+    log.add(`d = ${d}: n mod ${d} = ${remainder}`);
   }
-  
-  steps.push("---");
-  steps.push(`Final exponent bit processed. Result = ${result}`);
 
-  return { steps, result };
-};
\ No newline at end of file
+  const steps = log.finish(iterations >= maxIterations
+    ? `Gave up after ${iterations} divisors without finding a factor.`
+    : `No divisor up to √n: n is prime.`);
+  return { factor: null, iterations, steps, ms: performance.now() - start };
+};
+
+/**
+ * Fermat's method: searches a = ⌈√n⌉, ⌈√n⌉ + 1, ... until a² − n is a perfect square b²,
+ * then n = (a − b)(a + b). Fast when p and q are close together.
+ * @param {bigint} n An odd composite.
+ * @param {{maxIterations?: number}} [options]
+ * @returns {{factor: bigint|null, iterations: number, steps: string[], ms: number}}
+ */
+export const fermatFactor = (n, { maxIterations = FACTORING_MAX_ITERATIONS } = {}) => {
+  const start = performance.now();
+  const log = createStepLog();
+  if (n % 2n === 0n) {
+    const steps = log.finish(`n is even: n = 2 × ${n / 2n}`);
+    return { factor: 2n, iterations: 0, steps, ms: performance.now() - start };
+  }
+
+  let a = integerSqrt(n);
+  if (a * a < n) a++;
+  log.add(`Start at a = ⌈√n⌉ = ${a} and look for a² − n = b²`);
+
+  for (let iterations = 1; iterations <= maxIterations; iterations++, a++) {
+    const b2 = a * a - n;
+    const b = integerSqrt(b2);
+    if (b * b === b2) {
+      const factor = a - b;
+      if (factor === 1n) {
+        const steps = log.finish(`a = ${a}: b = ${b} only gives the trivial split 1 × n, so n is prime.`);
+        return { factor: null, iterations, steps, ms: performance.now() - start };
+      }
+      const steps = log.finish(`a = ${a}: a² − n = ${b2} = ${b}², so n = (a − b)(a + b) = ${factor} × ${a + b}`);
+      return { factor, iterations, steps, ms: performance.now() - start };
+    }
+    log.add(`a = ${a}: a² − n = ${b2} is not a square`);
+  }
+
+  const steps = log.finish(`Gave up after ${maxIterations} values of a: p and q are too far apart.`);
+  return { factor: null, iterations: maxIterations, steps, ms: performance.now() - start };
+};
+
+/**
+ * Pollard's rho with Brent's cycle detection. Iterates x → x² + c mod n; once two
+ * values collide modulo a hidden prime p, gcd(|x − y|, n) reveals p. Differences are
+ * multiplied together in batches so only one gcd is needed per batch.
+ * Expected work is about √p iterations.
+ * @param {bigint} n A composite.
+ * @param {{maxIterations?: number, batchSize?: number}} [options]
+ * @returns {{factor: bigint|null, iterations: number, steps: string[], ms: number}}
+ */
+export const pollardRhoBrent = (n, { maxIterations = FACTORING_MAX_ITERATIONS, batchSize = 64 } = {}) => {
+  const start = performance.now();
+  const log = createStepLog();
+  if (n % 2n === 0n) {
+    const steps = log.finish(`n is even: n = 2 × ${n / 2n}`);
+    return { factor: 2n, iterations: 0, steps, ms: performance.now() - start };
+  }
+
+  let iterations = 0;
+  // A cycle modulo n itself (gcd = n) means this c is unlucky: retry with the next one
+  for (let c = 1n; iterations < maxIterations; c++) {
+    const f = (x) => (x * x + c) % n;
+    log.add(`Using f(x) = x² + ${c} mod n, starting at y = 2`);
+    let y = 2n;
+    let x = y;
+    let ys = y;
+    let g = 1n;
+    let product = 1n;
+
+    for (let r = 1; g === 1n && iterations < maxIterations; r *= 2) {
+      x = y;
+      for (let i = 0; i < r && iterations < maxIterations; i++) {
+        y = f(y);
+        iterations++;
+      }
+      for (let k = 0; k < r && g === 1n && iterations < maxIterations; k += batchSize) {
+        ys = y;
+        const count = Math.min(batchSize, r - k, maxIterations - iterations);
+        for (let i = 0; i < count; i++) {
+          y = f(y);
+          product = (product * (x > y ? x - y : y - x)) % n;
+        }
+        iterations += count;
+        g = gcd(product, n);
+      }
+      log.add(`r = ${r}: x = ${x}, y = ${y}, gcd(∏|x − y|, n) = ${g}`);
+    }
+
+    if (g === n) {
+      // The batch overshot: step through it one value at a time
+      do {
+        ys = f(ys);
+        iterations++;
+        g = gcd(x > ys ? x - ys : ys - x, n);
+      } while (g === 1n && iterations < maxIterations);
+      log.add(`Batch product hit 0 mod n, backtracking one step at a time: gcd = ${g}`);
+    }
+
+    if (g !== 1n && g !== n) {
+      const steps = log.finish(`Factor found: gcd = ${g}, n = ${g} × ${n / g}`);
+      return { factor: g, iterations, steps, ms: performance.now() - start };
+    }
+    if (g === n) log.add(`x and y collided modulo n itself; retrying with c = ${c + 1n}`);
+  }
+
+  const steps = log.finish(`Gave up after ${iterations} iterations without finding a factor.`);
+  return { factor: null, iterations, steps, ms: performance.now() - start };
+};
@@ -0,0 +1,37 @@
+/**
+ * Runs one job in a dedicated Web Worker that replies with { type: 'progress', progress } messages
+ * followed by { type: 'done', result } or { type: 'error', message }.
+ * @param {() => Worker} createWorker Builds the worker. Vite only bundles a worker whose
+ *   new URL(..., import.meta.url) is written inside the new Worker(...) call, so callers pass a factory.
+ * @param {object} payload Posted to the worker as its only message.
+ * @param {object} handlers
+ * @param {(progress: object) => void} [handlers.onProgress] Receives each progress event.
+ * @param {(result: any) => void} handlers.onDone Receives the worker's result.
+ * @param {(message: string) => void} [handlers.onError] Receives an error message.
+ * @param {string} fallbackMessage Reported when the worker fails without a message of its own.
+ * @returns {() => void} A cancel function that terminates the worker.
+ */
+export const runWorker = (createWorker, payload, { onProgress, onDone, onError }, fallbackMessage) => {
+  const worker = createWorker();
+
+  worker.onmessage = (event) => {
+    const { type } = event.data;
+    if (type === 'progress') {
+      if (onProgress) onProgress(event.data.progress);
+      return;
+    }
+    worker.terminate();
+    if (type === 'done') {
+      onDone(event.data.result);
+    } else if (onError) {
+      onError(event.data.message);
+    }
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    if (onError) onError(event.message || fallbackMessage);
+  };
+
+  worker.postMessage(payload);
+  return () => worker.terminate();
+};
@@ -0,0 +1,474 @@
+import { useState, useRef, useEffect } from 'react';
+import { Check, X, Copy, Table, ScrollText, ArrowUpDown } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { cn } from './lib/utils';
+import { formatModPowSteps } from './rsa-math.js';
+import { formatValue } from './display.js';
+
+// --- Step Lists ---
+
+/**
+ * Renders a list of calculation steps ({ title, value, stepsLog?, modPowRun?, blocks?, byteLayout? }).
+ */
+export function StepList({ steps, currentStep = null }) {
+  const currentRef = useRef(null);
+
+  // Keep the highlighted step on screen while stepping through
+  useEffect(() => {
+    if (currentStep !== null && currentRef.current) {
+      currentRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [currentStep]);
+
+  return (
+    <div className="flex flex-col gap-2">
+      {steps.map((step, index) => (
+        <motion.div
+          key={index}
+          ref={index === currentStep ? currentRef : undefined}
+          animate={{ scale: index === currentStep ? 1.01 : 1 }}
+          transition={{ type: 'spring', stiffness: 300, damping: 25 }}
+          className={cn(
+            "relative p-3 rounded-lg border transition-colors",
+            index === currentStep ? "border-cyan-500 bg-cyan-900/20" : "border-gray-700 bg-gray-800/50"
+          )}
+        >
+          {/* Shared layoutId: the marker slides between steps, and between cards during a walkthrough */}
+          {index === currentStep && (
+            <motion.div layoutId="current-step-marker" className="absolute left-0 top-2 bottom-2 w-1 rounded-r bg-cyan-400" />
+          )}
+          <span className="font-semibold text-gray-200">{step.title}: </span>
+          <span className="font-mono text-cyan-300">{step.value}</span>
+          {step.blocks && <BlockSplitView blocks={step.blocks} />}
+          {step.byteLayout && <ByteLayoutView segments={step.byteLayout} />}
+          {step.modPowRun && <ModPowTable run={step.modPowRun} />}
+          {/* Plain text logs (factoring, CRT recombination, ...) */}
+          {step.stepsLog && (
+            <pre className="mt-3 p-3 bg-gray-900 rounded-md text-xs text-gray-400 overflow-x-auto font-mono">
+              {step.stepsLog.join('\n')}
+            </pre>
+          )}
+        </motion.div>
+      ))}
+    </div>
+  );
+}
+
+
+// Columns of the square-and-multiply table; `value` maps a ModPowStep to its sort key
+const MODPOW_COLUMNS = [
+  { key: 'bitIndex', label: 'Bit #', value: (step) => step.bitIndex },
+  { key: 'bit', label: 'Bit', value: (step) => step.bit },
+  { key: 'operation', label: 'Operation', value: (step) => step.operation },
+  { key: 'resultBefore', label: 'Result Before', value: (step) => step.resultBefore },
+  { key: 'resultAfter', label: 'Result After', value: (step) => step.resultAfter },
+  { key: 'baseBefore', label: 'Base', value: (step) => step.baseBefore },
+  { key: 'baseAfter', label: 'Base² (Next)', value: (step) => step.baseAfter },
+];
+
+/**
+ * Square-and-multiply table for a modPowWithSteps run: one sortable row per exponent bit,
+ * with the binary exponent above it. Hovering a row (or clicking a bit) highlights that bit.
+ * The Text view shows the formatModPowSteps log and can be copied.
+ */
+export function ModPowTable({ run }) {
+  const [view, setView] = useState('table'); // 'table' or 'text'
+  const [sort, setSort] = useState({ key: 'bitIndex', ascending: true });
+  const [activeBit, setActiveBit] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const binary = run.exponent.toString(2);
+
+  const column = MODPOW_COLUMNS.find(({ key }) => key === sort.key);
+  const rows = [...run.steps].sort((x, y) => {
+    const [a, b] = [column.value(x), column.value(y)];
+    return (a < b ? -1 : a > b ? 1 : 0) * (sort.ascending ? 1 : -1);
+  });
+
+  const handleSort = (key) => {
+    setSort((previous) => ({ key, ascending: previous.key === key ? !previous.ascending : true }));
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(formatModPowSteps(run).join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const viewButtonClass = (isActive) => cn(
+    "flex items-center gap-1 px-2 py-1 rounded text-xs font-medium transition-colors",
+    isActive ? "bg-cyan-800 text-cyan-100" : "text-gray-400 hover:text-white"
+  );
+
+  return (
+    <div className="mt-3 flex flex-col gap-2 p-3 bg-gray-900 rounded-md">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex gap-1">
+          <button onClick={() => setView('table')} className={viewButtonClass(view === 'table')}>
+            <Table className="w-3.5 h-3.5" /> Table
+          </button>
+          <button onClick={() => setView('text')} className={viewButtonClass(view === 'text')}>
+            <ScrollText className="w-3.5 h-3.5" /> Text
+          </button>
+        </div>
+        <button onClick={handleCopy} className="flex items-center gap-1 text-xs text-gray-400 hover:text-white">
+          {copied ? <Check className="w-3.5 h-3.5 text-green-500" /> : <Copy className="w-3.5 h-3.5" />} Copy as text
+        </button>
+      </div>
+
+      {view === 'text' || run.steps.length === 0 ? (
+        <pre className="p-3 bg-gray-950 rounded-md text-xs text-gray-400 overflow-x-auto font-mono max-h-96 overflow-y-auto">
+          {formatModPowSteps(run).join('\n')}
+        </pre>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-1 font-mono text-xs">
+            <span className="text-gray-500 mr-1">exponent =</span>
+            {binary.split('').map((bit, i) => {
+              const bitIndex = binary.length - 1 - i;
+              return (
+                <button
+                  key={i}
+                  onClick={() => setActiveBit(activeBit === bitIndex ? null : bitIndex)}
+                  className={cn(
+                    "w-5 h-6 rounded border transition-transform",
+                    activeBit === bitIndex ? "scale-125 bg-cyan-500 text-gray-900 border-cyan-300"
+                      : bit === '1' ? "bg-cyan-900/40 text-cyan-200 border-cyan-800" : "bg-gray-800 text-gray-500 border-gray-700"
+                  )}
+                  title={`Bit ${bitIndex}`}
+                >
+                  {bit}
+                </button>
+              );
+            })}
+            <span className="text-gray-500 ml-1">₂ (bit 0 on the right)</span>
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto rounded border border-gray-800">
+            <table className="w-full text-xs font-mono">
+              <thead className="bg-gray-800 text-gray-400 sticky top-0">
+                <tr>
+                  {MODPOW_COLUMNS.map(({ key, label }) => (
+                    <th key={key} className="p-2 text-left whitespace-nowrap">
+                      <button onClick={() => handleSort(key)} className="flex items-center gap-1 hover:text-white">
+                        {label}
+                        <ArrowUpDown className={cn("w-3 h-3", sort.key === key ? "text-cyan-400" : "text-gray-600")} />
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody onMouseLeave={() => setActiveBit(null)}>
+                {rows.map((step) => (
+                  <tr
+                    key={step.bitIndex}
+                    onMouseEnter={() => setActiveBit(step.bitIndex)}
+                    className={cn(
+                      "border-t border-gray-800",
+                      activeBit === step.bitIndex ? "bg-cyan-900/30" : step.bit ? "text-gray-200" : "text-gray-500"
+                    )}
+                  >
+                    <td className="p-2">{step.bitIndex}</td>
+                    <td className={cn("p-2 font-bold", step.bit ? "text-cyan-300" : "text-gray-500")}>{step.bit}</td>
+                    <td className="p-2 whitespace-nowrap">
+                      {step.operation === 'multiply' ? 'result × base' : '—'}{step.squared && ', square base'}
+                    </td>
+                    <td className="p-2 break-all">{step.resultBefore.toString()}</td>
+                    <td className="p-2 break-all text-cyan-300">{step.resultAfter.toString()}</td>
+                    <td className="p-2 break-all">{step.baseBefore.toString()}</td>
+                    <td className="p-2 break-all">{step.squared ? step.baseAfter.toString() : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">
+            {run.steps.filter(({ bit }) => bit).length} multiplications and {run.steps.filter(({ squared }) => squared).length} squarings
+            mod {run.modulus.toString()}. Result = {run.result.toString()}.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows how a message's bytes are grouped into blocks, one row per block.
+ */
+export function BlockSplitView({ blocks }) {
+  return (
+    <div className="mt-3 flex flex-col gap-2">
+      {blocks.map((block, i) => (
+        <div key={i} className="flex flex-wrap items-center gap-1 p-2 bg-gray-900 rounded-md">
+          <span className="text-xs font-semibold text-gray-400 w-16">Block {i + 1}</span>
+          {block.bytes.map((byte, j) => (
+            <span key={j} className="px-1.5 py-0.5 text-xs font-mono rounded bg-cyan-900/40 text-cyan-200 border border-cyan-800">
+              {byte.toString(16).padStart(2, '0')}
+            </span>
+          ))}
+          <span className="ml-2 text-xs font-mono text-gray-400">= {block.value.toString()}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+
+// Colors for the labeled segments of a padded block
+const BYTE_SEGMENT_TONES = {
+  header: 'bg-purple-900/40 text-purple-200 border-purple-700',
+  padding: 'bg-amber-900/40 text-amber-200 border-amber-700',
+  separator: 'bg-gray-700 text-gray-200 border-gray-500',
+  message: 'bg-cyan-900/40 text-cyan-200 border-cyan-800',
+  seed: 'bg-emerald-900/40 text-emerald-200 border-emerald-700',
+  mask: 'bg-pink-900/40 text-pink-200 border-pink-700',
+  error: 'bg-red-900/40 text-red-200 border-red-700',
+};
+
+/**
+ * Draws a block of bytes as labeled segments, e.g. 00 | 02 | PS | 00 | M.
+ */
+export function ByteLayoutView({ segments }) {
+  return (
+    <div className="mt-3 flex flex-wrap gap-2 p-2 bg-gray-900 rounded-md">
+      {segments.map((segment, i) => (
+        <div key={i} className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-gray-400">{segment.label} ({segment.bytes.length} B)</span>
+          <div className="flex flex-wrap gap-1">
+            {segment.bytes.map((byte, j) => (
+              <span key={j} className={cn("px-1.5 py-0.5 text-xs font-mono rounded border", BYTE_SEGMENT_TONES[segment.tone])}>
+                {byte.toString(16).padStart(2, '0')}
+              </span>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+
+// --- Reusable UI Components (ValueBox updated, others unchanged) ---
+
+export function Card({ children }) {
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm border border-gray-700/50 rounded-xl shadow-2xl overflow-hidden">
+      {children}
+    </div>
+  );
+}
+
+export function CardHeader({ icon, title, subtitle }) {
+  return (
+    <div className="flex items-center gap-4 p-5 bg-gray-900/50 border-b border-gray-700">
+      <div className="flex-shrink-0 p-3 bg-gray-800 rounded-lg border border-gray-700 text-cyan-400">
+        {icon}
+      </div>
+      <div>
+        <h2 className="text-xl font-bold text-white">{title}</h2>
+        <p className="text-sm text-gray-400">{subtitle}</p>
+      </div>
+    </div>
+  );
+}
+
+export function InputBox({ label, value, onChange, placeholder, error, icon }) {
+  return (
+    <div className="flex flex-col">
+      <label className="text-sm font-medium text-gray-300 mb-1.5">{label}</label>
+      <div className="relative">
+        <input
+          type="number"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className={cn(
+            "w-full bg-gray-900 border text-gray-100 rounded-lg p-3 pl-4 pr-10 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors",
+            error ? "border-red-500 focus:ring-red-500" : "border-gray-700"
+          )}
+        />
+        <div className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500">
+          {error ? <X className="w-5 h-5 text-red-500" /> : icon ? icon : <Check className="w-5 h-5 text-green-500" />}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-400 mt-1.5">{error}</p>}
+    </div>
+  );
+}
+
+// Updated to include an optional icon
+export function ValueBox({ label, value, formula, className, icon }) {
+  const displayValue = value !== null ? formatValue(value) : '...';
+  
+  return (
+    <div className={cn("flex flex-col p-3 bg-gray-900 rounded-lg border border-gray-700", className)}>
+      <div className="flex justify-between items-center">
+        <div className="flex items-center gap-2">
+          {icon && <span className="text-gray-500">{icon}</span>}
+          <label className="text-sm font-medium text-gray-400">{label}</label>
+        </div>
+        {formula && <span className="text-xs font-mono text-gray-500">{formula}</span>}
+      </div>
+      <p className="text-xl font-bold font-mono text-cyan-300 mt-1 truncate">
+        {displayValue}
+      </p>
+    </div>
+  );
+}
+
+export function ValuedBox({ label, value, formula, className }) {
+  const [copied, setCopied] = useState(false);
+  const displayValue = value !== null ? value.toString() : '...';
+  
+  const handleCopy = () => {
+    if (value !== null) {
+      navigator.clipboard.writeText(displayValue);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }
+  };
+
+  return (
+    <div className={cn("flex flex-col p-3 bg-gray-900 rounded-lg border border-gray-700", className)}>
+      <div className="flex justify-between items-center">
+        <label className="text-sm font-medium text-gray-400">{label}</label>
+        {formula && <span className="text-xs font-mono text-gray-500">{formula}</span>}
+      </div>
+      <div className="flex items-center gap-2 mt-1">
+        <p className="text-xl font-bold font-mono text-cyan-300 truncate">
+          {displayValue}
+        </p>
+        <button onClick={handleCopy} className="text-gray-500 hover:text-cyan-400 flex-shrink-0">
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function Button({ onClick, children, className, disabled }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={cn(
+        "flex items-center justify-center gap-2 p-3 bg-cyan-600 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-500 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:ring-offset-2 focus:ring-offset-gray-900 transition-all",
+        "disabled:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50",
+        className
+      )}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function ToggleButton({ onClick, isActive, icon, label }) {
+  return (
+    <button
+      onClick={onClick}
+      className={cn(
+        "relative flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium rounded-md transition-colors",
+        isActive ? "text-cyan-300" : "text-gray-400 hover:text-white"
+      )}
+    >
+      {isActive && (
+        <motion.div
+          layoutId="active-toggle"
+          className="absolute inset-0 bg-cyan-800/50 rounded-md"
+          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+        />
+      )}
+      <span className="relative z-10">{icon}</span>
+      <span className="relative z-10">{label}</span>
+    </button>
+  );
+}
+
+// --- NEW Components for EncryptorDecryptor Mode ---
+
+export function KeyDisplayBox({ label, value }) {
+  const [copied, setCopied] = useState(false);
+  const displayValue = value ? value.toString() : '...';
+
+  const handleCopy = () => {
+    if (value) {
+      navigator.clipboard.writeText(displayValue);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }
+  };
+
+  return (
+    <div className="flex flex-col p-3 bg-gray-800 rounded-lg border border-gray-700">
+      <label className="text-sm font-medium text-gray-400">{label}</label>
+      <div className="flex items-center gap-2 mt-1">
+        <p className="text-lg font-mono text-cyan-300 truncate">
+          {displayValue}
+        </p>
+        <button onClick={handleCopy} className="text-gray-500 hover:text-cyan-400 ml-auto flex-shrink-0">
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function TabButton({ label, icon, isActive, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={cn(
+        "relative flex-1 flex items-center justify-center gap-2 p-3 text-sm font-medium transition-colors",
+        isActive ? "text-cyan-300" : "text-gray-400 hover:text-white"
+      )}
+    >
+      {icon}
+      {label}
+      {isActive && (
+        <motion.div
+          layoutId="active-tab-indicator"
+          className="absolute bottom-0 left-0 right-0 h-0.5 bg-cyan-400"
+          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+        />
+      )}
+    </button>
+  );
+}
+
+export function SelectBox({ label, value, onChange, options, disabled, className }) {
+  return (
+    <div className={cn("flex flex-col", className)}>
+      <label className="text-sm font-medium text-gray-300 mb-1.5">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="w-full bg-gray-900 border border-gray-700 text-gray-100 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors disabled:opacity-50"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export function TextArea({ label, value, onChange, placeholder, readOnly = false, className, error }) {
+  return (
+    <div className={cn("flex flex-col", className)}>
+      <label className="text-sm font-medium text-gray-300 mb-1.5">{label}</label>
+      <textarea
+        value={value}
+        onChange={(e) => onChange && onChange(e.target.value)}
+        placeholder={placeholder}
+        readOnly={readOnly}
+        rows={4}
+        className={cn(
+          "w-full bg-gray-900 border text-gray-100 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-cyan-500 transition-colors",
+          readOnly ? "bg-gray-800/50" : "border-gray-700",
+          error ? "border-red-500 focus:ring-red-500" : "border-gray-700"
+        )}
+      />
+      {error && <p className="text-sm text-red-400 mt-1.5">{error}</p>}
+    </div>
+  );
+}
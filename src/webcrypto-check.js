@@ -0,0 +1,96 @@
+import { toJwk } from './key-formats.js';
+import {
+  bigIntToBytes,
+  bytesToBigInt,
+  crtDecrypt,
+  emsaPkcs1v15Encode,
+  getByteLength,
+  modPow,
+  oaepDecode,
+  oaepEncode,
+  OAEP_SHA256_OVERHEAD,
+  sha256,
+} from './rsa-math.js';
+
+const RS256 = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+const RSA_OAEP = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+// Imports the public or private half of a key into WebCrypto through its JWK form
+const importJwk = (key, algorithm, usage) => {
+  const isPrivate = usage === 'sign' || usage === 'decrypt';
+  return crypto.subtle.importKey('jwk', toJwk(key, isPrivate), algorithm, false, [usage]);
+};
+
+// Runs one check, turning exceptions into a failed result
+const runCheck = async (name, check) => {
+  try {
+    return { name, ...(await check()) };
+  } catch (err) {
+    return { name, passed: false, detail: err.message || String(err) };
+  }
+};
+
+// A check that cannot run with this key: it neither passes nor fails
+const skipCheck = (name, detail) => ({ name, passed: false, skipped: true, detail });
+
+/**
+ * Cross-checks our BigInt RSA against the browser's native implementation.
+ * The key is imported into WebCrypto as a JWK; RS256 signatures are deterministic,
+ * so our modPow output must match the browser's byte for byte. OAEP is randomized,
+ * so it is checked by decrypting each side's ciphertext with the other side.
+ * @param {{n: bigint, e: bigint, d: bigint, p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint}} key
+ * @param {string} [message] Text to sign and encrypt.
+ * Keys too small for OAEP with this message get skipped OAEP checks instead of failed ones.
+ * @returns {Promise<Array<{name: string, passed: boolean, skipped?: boolean, detail: string}>>} One entry per check.
+ */
+export const crossCheckWithWebCrypto = async (key, message = 'WebCrypto cross-check') => {
+  const k = getByteLength(key.n);
+  const messageBytes = new TextEncoder().encode(message);
+  const decode = (bytes) => new TextDecoder().decode(bytes);
+  // Textbook signature of the padded digest: S = EMᵈ mod n. Encoding throws for
+  // moduli too short for the DigestInfo, so it runs inside each check.
+  const signWithModPow = async () => {
+    const em = emsaPkcs1v15Encode(await sha256(messageBytes), k);
+    return { em, ourSignature: bigIntToBytes(modPow(bytesToBigInt(em), key.d, key.n), k) };
+  };
+  const oaepCapacity = k - OAEP_SHA256_OVERHEAD;
+  const oaepFits = messageBytes.length <= oaepCapacity;
+  const oaepSkipReason = `Not applicable: a ${k}-byte modulus leaves ${Math.max(oaepCapacity, 0)} bytes for OAEP (SHA-256) messages, the test message needs ${messageBytes.length}.`;
+
+  return [
+    await runCheck('RS256 signature: modPow(EM, d, n) equals crypto.subtle.sign', async () => {
+      const { em, ourSignature } = await signWithModPow();
+      const privateKey = await importJwk(key, RS256, 'sign');
+      const native = new Uint8Array(await crypto.subtle.sign(RS256, privateKey, messageBytes));
+      const viaCrt = bigIntToBytes(crtDecrypt(bytesToBigInt(em), key), k);
+      return {
+        passed: bytesEqual(ourSignature, native) && bytesEqual(viaCrt, native),
+        detail: bytesEqual(ourSignature, native)
+          ? `Identical ${k}-byte signatures (CRT path ${bytesEqual(viaCrt, native) ? 'matches too' : 'differs'})`
+          : 'Signatures differ',
+      };
+    }),
+    await runCheck('RS256 verification: crypto.subtle.verify accepts our signature', async () => {
+      const { ourSignature } = await signWithModPow();
+      const publicKey = await importJwk(key, RS256, 'verify');
+      const passed = await crypto.subtle.verify(RS256, publicKey, ourSignature, messageBytes);
+      return { passed, detail: passed ? 'Signature accepted' : 'Signature rejected' };
+    }),
+    oaepFits ? await runCheck('RSA-OAEP: we decrypt crypto.subtle.encrypt output', async () => {
+      const publicKey = await importJwk(key, RSA_OAEP, 'encrypt');
+      const native = new Uint8Array(await crypto.subtle.encrypt(RSA_OAEP, publicKey, messageBytes));
+      const decrypted = bigIntToBytes(modPow(bytesToBigInt(native), key.d, key.n), k);
+      const recovered = decode((await oaepDecode(decrypted)).message);
+      return { passed: recovered === message, detail: `Recovered "${recovered}"` };
+    }) : skipCheck('RSA-OAEP: we decrypt crypto.subtle.encrypt output', oaepSkipReason),
+    oaepFits ? await runCheck('RSA-OAEP: crypto.subtle.decrypt reads our ciphertext', async () => {
+      const privateKey = await importJwk(key, RSA_OAEP, 'decrypt');
+      const { em: encoded } = await oaepEncode(messageBytes, k);
+      const ours = bigIntToBytes(modPow(bytesToBigInt(encoded), key.e, key.n), k);
+      const recovered = decode(await crypto.subtle.decrypt(RSA_OAEP, privateKey, ours));
+      return { passed: recovered === message, detail: `Browser recovered "${recovered}"` };
+    }) : skipCheck('RSA-OAEP: crypto.subtle.decrypt reads our ciphertext', oaepSkipReason),
+  ];
+};
@@ -0,0 +1,233 @@
+import { formatModPowSteps } from './rsa-math.js';
+import { parsePermalink } from './permalink.js';
+
+export const WORKED_EXAMPLE_FORMAT = 'rsa-visualizer-worked-example';
+const WORKED_EXAMPLE_VERSION = 1;
+
+const STAGE_TITLES = {
+  keyGeneration: '1. Key Generation',
+  encryption: '2. Encryption',
+  decryption: '3. Decryption',
+  crtDecryption: '3b. Decryption with the Chinese Remainder Theorem',
+};
+
+const KEY_LABELS = { p: 'p', q: 'q', n: 'n', phi: 'φ(n)', e: 'e', d: 'd', dp: 'dp', dq: 'dq', qInv: 'qInv' };
+const PADDING_LABELS = { none: 'None (textbook RSA)', pkcs1: 'PKCS#1 v1.5', oaep: 'RSA-OAEP (SHA-256)' };
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Converts a visualizer step to plain JSON: BigInts become strings and modular
+// exponentiations become their text log, so every step has the same stepsLog shape
+const serializeStep = ({ title, value, stepsLog, modPowRun, blocks, byteLayout }) => ({
+  title,
+  value: String(value),
+  ...(blocks && { blocks: blocks.map((block) => ({ hex: toHex(block.bytes), value: block.value.toString() })) }),
+  ...(byteLayout && { byteLayout: byteLayout.map((segment) => ({ label: segment.label, hex: toHex(segment.bytes) })) }),
+  ...(modPowRun && {
+    modPow: {
+      base: modPowRun.base.toString(),
+      exponent: modPowRun.exponent.toString(),
+      modulus: modPowRun.modulus.toString(),
+      result: modPowRun.result.toString(),
+    },
+  }),
+  ...((modPowRun || stepsLog) && { stepsLog: modPowRun ? formatModPowSteps(modPowRun) : stepsLog }),
+});
+
+/**
+ * Collects a visualizer session into a worked-example document that can be saved as JSON
+ * and rendered with workedExampleToMarkdown or workedExampleToHtml.
+ * @param {object} example
+ * @param {Record<string, bigint|string|null|undefined>} example.key p, q, n, phi, e, d, dp, dq and qInv; missing ones are left out.
+ * @param {string} example.plaintext
+ * @param {string} example.padding 'none', 'pkcs1' or 'oaep'.
+ * @param {bigint|Array<bigint>|null} example.ciphertext
+ * @param {string} example.decryptedPlaintext
+ * @param {Array<object>} example.keyGenSteps Visualizer steps ({ title, value, stepsLog?, modPowRun?, blocks?, byteLayout? }).
+ * @param {Array<object>} example.encryptionSteps
+ * @param {Array<object>} example.decryptionSteps
+ * @param {Array<object>} [example.crtDecryptionSteps]
+ * @returns {object} A JSON-safe document; its session field is what parseWorkedExample restores.
+ */
+export const buildWorkedExample = ({
+  key, plaintext, padding, ciphertext, decryptedPlaintext,
+  keyGenSteps, encryptionSteps, decryptionSteps, crtDecryptionSteps = [],
+}) => {
+  const hasPrimes = isPresent(key.p) && isPresent(key.q) && isPresent(key.e);
+  return {
+    format: WORKED_EXAMPLE_FORMAT,
+    version: WORKED_EXAMPLE_VERSION,
+    createdAt: new Date().toISOString(),
+    session: {
+      ...(hasPrimes && { p: String(key.p), q: String(key.q), e: String(key.e) }),
+      plaintext,
+      padding,
+    },
+    key: Object.fromEntries(
+      Object.keys(KEY_LABELS).filter((name) => isPresent(key[name])).map((name) => [name, String(key[name])]),
+    ),
+    results: {
+      ciphertext: ciphertext === null ? null : Array.isArray(ciphertext) ? ciphertext.map(String) : String(ciphertext),
+      decryptedPlaintext,
+    },
+    stages: {
+      keyGeneration: keyGenSteps.map(serializeStep),
+      encryption: encryptionSteps.map(serializeStep),
+      decryption: decryptionSteps.map(serializeStep),
+      crtDecryption: crtDecryptionSteps.map(serializeStep),
+    },
+  };
+};
+
+/**
+ * Reads an exported JSON worked example back into a visualizer session. The key and message
+ * are validated like a permalink, and the session points at the last stage the example reached,
+ * so the visualizer recalculates every step (padding draws fresh random bytes).
+ * @param {string} text The JSON file contents.
+ * @returns {{p?: bigint, q?: bigint, e?: bigint, plaintext: string, padding: string, stage?: string, step?: number}}
+ * @throws {Error} If the file is not a worked example or its session is invalid.
+ */
+export const parseWorkedExample = (text) => {
+  let example;
+  try {
+    example = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (example?.format !== WORKED_EXAMPLE_FORMAT || typeof example.session !== 'object' || example.session === null) {
+    throw new Error('This JSON file is not a worked example exported from the visualizer.');
+  }
+  if (example.version > WORKED_EXAMPLE_VERSION) {
+    throw new Error(`Worked example version ${example.version} is newer than this visualizer supports.`);
+  }
+
+  const { p, q, e, plaintext = '', padding = 'none' } = example.session;
+  const stages = example.stages ?? {};
+  const lastStage = stages.decryption?.length ? 'decrypt' : stages.encryption?.length ? 'encrypt' : 'keygen';
+  const params = new URLSearchParams({ mode: 'visualizer', m: plaintext, padding });
+  if (isPresent(p)) {
+    params.set('p', p);
+    params.set('q', q ?? '');
+    params.set('e', e ?? '');
+    params.set('stage', lastStage);
+  }
+  return parsePermalink(`#${params}`).session;
+};
+
+// The [name, value] rows of the parameter table shared by both renderings
+const parameterRows = ({ key, session, results }) => [
+  ...Object.entries(key).map(([name, value]) => [KEY_LABELS[name], value]),
+  ['Message', session.plaintext ? `"${session.plaintext}"` : '(none)'],
+  ['Padding', PADDING_LABELS[session.padding]],
+  ...(results.ciphertext !== null ? [['Ciphertext C', [].concat(results.ciphertext).join(', ')]] : []),
+  ...(results.decryptedPlaintext ? [['Decrypted message', `"${results.decryptedPlaintext}"`]] : []),
+];
+
+// --- Markdown ---
+
+const markdownStep = (step, index) => {
+  const lines = [`${index + 1}. **${step.title}:** ${step.value}`];
+  for (const [i, block] of (step.blocks ?? []).entries()) {
+    lines.push(`   - Block ${i + 1}: \`${block.hex}\` = ${block.value}`);
+  }
+  for (const segment of step.byteLayout ?? []) {
+    lines.push(`   - ${segment.label}: \`${segment.hex}\``);
+  }
+  if (step.stepsLog) {
+    const log = step.stepsLog.join('\n').split('\n').map((line) => `   ${line}`.trimEnd());
+    lines.push('', '   ```', ...log, '   ```');
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Renders a worked example as a Markdown worksheet: a parameter table, then every stage's steps with their logs.
+ * @param {object} example From buildWorkedExample.
+ * @returns {string}
+ */
+export const workedExampleToMarkdown = (example) => {
+  const { stages } = example;
+  const rows = parameterRows(example);
+  const sections = Object.entries(STAGE_TITLES)
+    .filter(([stage]) => stages[stage].length > 0)
+    .map(([stage, title]) => `## ${title}\n\n${stages[stage].map(markdownStep).join('\n\n')}`);
+
+  return [
+    '# RSA Worked Example',
+    `Exported from the Interactive RSA Visualizer on ${new Date(example.createdAt).toLocaleString()}.`,
+    '## Parameters',
+    ['| Name | Value |', '| --- | --- |', ...rows.map(([name, value]) => `| ${name} | \`${String(value).replace(/\|/g, '\\|')}\` |`)].join('\n'),
+    ...sections,
+  ].join('\n\n') + '\n';
+};
+
+// --- Printable HTML ---
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+const PRINT_STYLES = `
+  @page { margin: 2cm; }
+  body { font-family: system-ui, sans-serif; color: #111; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #555; margin-top: 0.25rem; }
+  h2 { border-bottom: 2px solid #0e7490; padding-bottom: 0.25rem; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f0f9ff; width: 10rem; }
+  code, pre { font-family: ui-monospace, monospace; font-size: 0.8rem; word-break: break-all; }
+  pre { white-space: pre-wrap; background: #f6f6f6; border: 1px solid #ddd; padding: 0.5rem; }
+  ol { padding-left: 1.5rem; }
+  li { margin-bottom: 0.75rem; }
+  ul { margin: 0.25rem 0; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    h2 { break-after: avoid; }
+    li, tr { break-inside: avoid; }
+    pre { background: none; }
+  }
+`;
+
+const htmlStep = (step) => [
+  `<li><strong>${escapeHtml(step.title)}:</strong> <code>${escapeHtml(step.value)}</code>`,
+  ...(step.blocks ? [`<ul>${step.blocks.map((block, i) => `<li>Block ${i + 1}: <code>${block.hex}</code> = ${block.value}</li>`).join('')}</ul>`] : []),
+  ...(step.byteLayout ? [`<ul>${step.byteLayout.map((segment) => `<li>${escapeHtml(segment.label)}: <code>${segment.hex}</code></li>`).join('')}</ul>`] : []),
+  ...(step.stepsLog ? [`<pre>${escapeHtml(step.stepsLog.join('\n'))}</pre>`] : []),
+  '</li>',
+].join('\n');
+
+/**
+ * Renders a worked example as a standalone HTML page styled for printing (light theme, page margins,
+ * steps kept on one page where possible).
+ * @param {object} example From buildWorkedExample.
+ * @returns {string}
+ */
+export const workedExampleToHtml = (example) => {
+  const { stages } = example;
+  const rows = parameterRows(example);
+  const sections = Object.entries(STAGE_TITLES)
+    .filter(([stage]) => stages[stage].length > 0)
+    .map(([stage, title]) => `<section>\n<h2>${escapeHtml(title)}</h2>\n<ol>\n${stages[stage].map(htmlStep).join('\n')}\n</ol>\n</section>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RSA Worked Example</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>RSA Worked Example</h1>
+<p class="meta">Exported from the Interactive RSA Visualizer on ${escapeHtml(new Date(example.createdAt).toLocaleString())}.</p>
+<h2>Parameters</h2>
+<table>
+${rows.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td><code>${escapeHtml(value)}</code></td></tr>`).join('\n')}
+</table>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};